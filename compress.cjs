@@ -3,6 +3,7 @@ const path = require("path");
 const ffmpeg = require("fluent-ffmpeg");
 const { execSync } = require("child_process");
 const ffmpegStatic = require("ffmpeg-static");
+const { readMediaProfile } = require("./lib/media-profile.cjs");
 
 // Add verbose flag check
 const args = process.argv.slice(2);
@@ -10,6 +11,21 @@ const VERBOSE = args.includes("--verbose");
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 5000; // 5 seconds
 
+// Video bitrate H.264 at CRF 23 lands around for each resolution; sources
+// already at or below it have nothing to gain from compressing
+const TARGET_BITRATES = {
+  "8k": 60000000,
+  "4k": 20000000,
+  "1440p": 12000000,
+  "1080p": 8000000,
+  "720p": 5000000,
+  "480p": 2500000,
+  sd: 2000000,
+};
+
+// Codecs that already compress at least as well as H.264
+const EFFICIENT_CODECS = ["hevc", "av1", "vp9"];
+
 // Configure ffmpeg paths
 function configureFfmpeg() {
   try {
@@ -74,6 +90,57 @@ function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Why a video isn't worth compressing, or null if it is
+function skipReason(video, bitrate) {
+  if (EFFICIENT_CODECS.includes(video.codec)) {
+    return `already ${video.codec}`;
+  }
+  const target = TARGET_BITRATES[video.resolution];
+  if (target && bitrate <= target) {
+    const kbps = (bits) => Math.round(bits / 1000);
+    return `${kbps(bitrate)} kbps is already at or below the ${kbps(
+      target
+    )} kbps target for ${video.resolution}`;
+  }
+  return null;
+}
+
+// FFmpeg options for a source: HDR and 10-bit video goes to 10-bit HEVC so
+// it keeps its range, the rest to 8-bit H.264. Colour tags are carried
+// over either way, and the audio keeps its channels.
+function encodeOptions(media) {
+  const video = media.video || {};
+  const deep = video.hdr || video.bit_depth > 8;
+  const options = deep
+    ? [
+        "-c:v libx265", // HEVC keeps 10-bit HDR intact
+        "-pix_fmt yuv420p10le",
+        "-crf 28", // About the quality of H.264 at CRF 23
+        "-tag:v hvc1", // So QuickTime and iOS will play it
+      ]
+    : [
+        "-c:v libx264", // Use H.264 codec
+        "-pix_fmt yuv420p",
+        "-crf 23", // Constant Rate Factor (18-28 is good, lower = better quality)
+      ];
+  if (video.color_primaries) {
+    options.push(`-color_primaries ${video.color_primaries}`);
+  }
+  if (video.color_transfer) options.push(`-color_trc ${video.color_transfer}`);
+  if (video.color_space) options.push(`-colorspace ${video.color_space}`);
+
+  const channels = (media.audio && media.audio.channels) || 2;
+  return [
+    ...options,
+    "-preset medium", // Balance between speed and compression
+    "-c:a aac", // Audio codec
+    `-ac ${channels}`,
+    `-b:a ${Math.max(2, channels) * 96}k`, // 192k for stereo
+    "-movflags +faststart", // Enable fast start for QuickTime compatibility
+    "-y", // Overwrite output file
+  ];
+}
+
 // Function to check if a drive is accessible
 async function isDriveAccessible(filePath) {
   try {
@@ -93,7 +160,14 @@ async function isDriveAccessible(filePath) {
   }
 }
 
-async function compressVideo(inputPath, outputPath, retryCount = 0) {
+// Returns false when the video was skipped as already efficient, which
+// only happens with skipEfficient
+async function compressVideo(
+  inputPath,
+  outputPath,
+  skipEfficient = false,
+  retryCount = 0
+) {
   log(`\n🎬 Compressing: ${path.basename(inputPath)}`, true);
   startTimer("compression");
 
@@ -133,7 +207,7 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
       }/${MAX_RETRIES})`
     );
     await delay(RETRY_DELAY);
-    return compressVideo(inputPath, outputPath, retryCount + 1);
+    return compressVideo(inputPath, outputPath, skipEfficient, retryCount + 1);
   }
 
   // Get original video metadata
@@ -161,12 +235,14 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
       }/${MAX_RETRIES})`
     );
     await delay(RETRY_DELAY);
-    return compressVideo(inputPath, outputPath, retryCount + 1);
+    return compressVideo(inputPath, outputPath, skipEfficient, retryCount + 1);
   }
 
   const originalSize = fs.statSync(inputPath).size;
   const duration = metadata.format.duration;
-  const originalBitrate = (originalSize * 8) / duration; // bits per second
+  const media = readMediaProfile(metadata);
+  const originalBitrate =
+    media.bit_rate || (originalSize * 8) / duration; // bits per second
 
   log(
     `📊 Original: ${(originalSize / (1024 * 1024)).toFixed(
@@ -176,6 +252,27 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
     )} kbps`,
     true
   );
+  if (media.video) {
+    const { codec, width, height, frame_rate, hdr, bit_depth } = media.video;
+    log(
+      `🎞️  Source: ${codec} ${width}x${height} ${frame_rate}fps, ${bit_depth}-bit${
+        hdr ? " HDR" : ""
+      }`,
+      true
+    );
+
+    const reason =
+      skipEfficient &&
+      skipReason(media.video, media.video.bit_rate || originalBitrate);
+    if (reason) {
+      log(`⏭️  Skipping ${path.basename(inputPath)}, ${reason}`, true);
+      startTimes.delete("compression");
+      return false;
+    }
+    if (media.video.dolby_vision) {
+      log(`⚠️  Dolby Vision metadata isn't kept, only the HDR base layer`, true);
+    }
+  }
 
   // Create temporary directory for processing
   const tempDir = "temp_processing";
@@ -187,15 +284,7 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
     log(`🔄 Starting FFmpeg compression...`, true);
     await new Promise((resolve, reject) => {
       const command = ffmpeg(inputPath)
-        .outputOptions([
-          "-c:v libx264", // Use H.264 codec
-          "-preset medium", // Balance between speed and compression
-          "-crf 23", // Constant Rate Factor (18-28 is good, lower = better quality)
-          "-c:a aac", // Audio codec
-          "-b:a 192k", // Audio bitrate
-          "-movflags +faststart", // Enable fast start for QuickTime compatibility
-          "-y", // Overwrite output file
-        ])
+        .outputOptions(encodeOptions(media))
         .save(outputPath);
 
       command.on("progress", (progress) => {
@@ -242,6 +331,7 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
 
     endTimer("compression");
     log(`✅ Done: ${path.basename(outputPath)}`, true);
+    return true;
   } catch (error) {
     console.error(`❌ Failed: ${error.message}`);
 
@@ -259,7 +349,7 @@ async function compressVideo(inputPath, outputPath, retryCount = 0) {
         }/${MAX_RETRIES})`
       );
       await delay(RETRY_DELAY);
-      return compressVideo(inputPath, outputPath, retryCount + 1);
+      return compressVideo(inputPath, outputPath, skipEfficient, retryCount + 1);
     }
 
     throw error;
@@ -273,7 +363,8 @@ async function processDirectory(
   dir,
   force = false,
   limit = null,
-  clobber = false
+  clobber = false,
+  skipEfficient = false
 ) {
   log(`📂 Scanning: ${dir}`, true);
 
@@ -356,16 +447,18 @@ async function processDirectory(
     }
 
     try {
-      await compressVideo(file, outputPath);
+      const compressed = await compressVideo(file, outputPath, skipEfficient);
 
-      // If clobber mode, replace the original file
+      // If clobber mode, replace the original file (a skipped one stays)
       if (clobber) {
-        log(`🔄 Replacing original file: ${path.basename(file)}`, true);
-        // Remove original file
-        await fs.remove(file);
-        // Move the compressed file to the original location but with .mp4 extension
-        const finalPath = file.replace(/\.mov$/, ".mp4");
-        await fs.move(outputPath, finalPath);
+        if (compressed) {
+          log(`🔄 Replacing original file: ${path.basename(file)}`, true);
+          // Remove original file
+          await fs.remove(file);
+          // Move the compressed file to the original location but with .mp4 extension
+          const finalPath = file.replace(/\.mov$/, ".mp4");
+          await fs.move(outputPath, finalPath);
+        }
         // Remove the temp directory if it's empty
         try {
           await fs.rmdir(path.dirname(outputPath));
@@ -383,17 +476,20 @@ async function processDirectory(
 const dirPath = args[0];
 const force = args.includes("--force");
 const clobber = args.includes("--clobber");
+const skipEfficient = args.includes("--skip-efficient");
 const limitArg = args.find((arg) => arg.startsWith("--limit="));
 const limit = limitArg ? parseInt(limitArg.split("=")[1]) : null;
 
 if (!dirPath) {
   console.log(
-    "Usage: node compress.cjs path/to/video/folder [--force] [--limit=N] [--clobber] [--verbose]"
+    "Usage: node compress.cjs path/to/video/folder [--force] [--limit=N] [--clobber] [--skip-efficient] [--verbose]"
   );
   process.exit(1);
 }
 
-processDirectory(dirPath, force, limit, clobber).catch((error) => {
-  console.error("\n❌ Fatal error:", error.message);
-  process.exit(1);
-});
+processDirectory(dirPath, force, limit, clobber, skipEfficient).catch(
+  (error) => {
+    console.error("\n❌ Fatal error:", error.message);
+    process.exit(1);
+  }
+);
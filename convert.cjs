@@ -1,13 +1,60 @@
 const fs = require("fs-extra");
+const os = require("os");
 const path = require("path");
 const ffmpeg = require("fluent-ffmpeg");
-const OpenAI = require("openai");
 const dotenv = require("dotenv");
 const fetch = require("node-fetch");
 const { execSync } = require("child_process");
 const bplistCreator = require("bplist-creator");
-const { createCanvas } = require("canvas");
 const ffmpegStatic = require("ffmpeg-static");
+const { createProvider } = require("./lib/providers/index.cjs");
+const { loadConfig, printConfig } = require("./lib/config.cjs");
+const { createLocalWhisper } = require("./lib/whisper-local.cjs");
+const { writeCaptionSidecars } = require("./lib/captions.cjs");
+const { writeContactSheet } = require("./lib/contact-sheet.cjs");
+const { contactSheetPath, sidecarMoves } = require("./lib/sidecars.cjs");
+const { createRunId, openJournal } = require("./lib/journal.cjs");
+const { readCaptureDate } = require("./lib/capture-date.cjs");
+const { readLocation } = require("./lib/location.cjs");
+const { readMediaProfile } = require("./lib/media-profile.cjs");
+const {
+  computeSimilarity,
+  clipFromEntry,
+  findBetterCopy,
+  rateAsDuplicate,
+} = require("./lib/duplicates.cjs");
+const { entryPath } = require("./lib/search.cjs");
+const { slugify, renderFilename } = require("./lib/filename.cjs");
+const {
+  extractSpeechAudio,
+  probeDuration,
+  detectSilences,
+  analyzeSpeech,
+  planChunks,
+} = require("./lib/audio.cjs");
+const { stitchChunks } = require("./lib/transcript.cjs");
+const { createLimiter, runPool, limitCalls } = require("./lib/pool.cjs");
+const { fingerprintMedia } = require("./lib/fingerprint.cjs");
+const { detectSceneScores, pickSceneFrames } = require("./lib/scenes.cjs");
+const {
+  NEARBY_OFFSETS,
+  scoreFrame,
+  frameProblems,
+  qualityRank,
+  describeFrameQuality,
+} = require("./lib/frame-quality.cjs");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { openTextIndex } = require("./lib/text-index.cjs");
+const {
+  defaultWriterNames,
+  createMetadataWriters,
+  writeMetadata,
+} = require("./lib/metadata/index.cjs");
+const {
+  STAGES,
+  expandForcedStages,
+  openCheckpoint,
+} = require("./lib/checkpoints.cjs");
 
 dotenv.config();
 
@@ -16,9 +63,11 @@ function configureFfmpeg() {
   try {
     // Try to use ffmpeg-static first
     if (ffmpegStatic) {
-      console.log(`🔧 Setting FFmpeg path to (from ffmpeg-static): ${ffmpegStatic}`);
+      console.log(
+        `🔧 Setting FFmpeg path to (from ffmpeg-static): ${ffmpegStatic}`
+      );
       ffmpeg.setFfmpegPath(ffmpegStatic);
-      
+
       // For ffprobe, still use system path
       const ffprobePath = execSync("which ffprobe").toString().trim();
       console.log(`🔧 Setting FFprobe path to: ${ffprobePath}`);
@@ -62,20 +111,38 @@ function endTimer(label) {
   startTimes.delete(label);
 }
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-function generateShortGuid() {
-  return Math.random().toString(36).substring(2, 6); // 4 character alphanumeric
+// AI provider and run config used for every model call; set up at startup
+let provider = null;
+let config = null;
+// Either the AI provider or a local whisper backend
+let transcriber = null;
+// Where summaries get written besides the catalog (container tags, Finder)
+let metadataWriters = [];
+// Catalog store and full-text search index for this run's folder
+let catalog = null;
+let textIndex = null;
+// Every rename this run makes is journalled under its run ID for undo.cjs
+const runId = createRunId();
+let journal = null;
+// Shared limits on API calls and local ffmpeg/model work
+let localLimit = null;
+
+// Request options for a pipeline stage: its name plus its configured settings
+function stageOptions(stage) {
+  return { stage, ...config.stages[stage] };
 }
 
-async function generateShortName(description, importance) {
-  const response = await openai.chat.completions.create({
-    model: "gpt-4-turbo-preview",
-    messages: [
-      {
-        role: "user",
-        content: `Create a very short (3-5 words) filename-friendly description of this scene: "${description}"
-Response should:
+// Asks the model for the slug part of the new file name; the rest comes
+// from the filename template
+async function generateShortName(description, place = null) {
+  const response = await provider.chat({
+    ...stageOptions("short-name"),
+    prompt: `Create a very short (3-5 words) filename-friendly description of this scene: "${description}"
+${
+  place
+    ? `It was filmed in ${place.name}; end the name with the town, e.g. beach-sunset-walk-santa-cruz\n`
+    : ""
+}Response should:
 1. Use only lowercase letters, numbers, and hyphens
 2. Be clear but concise
 3. Capture the key content
@@ -95,64 +162,123 @@ A dirt track racing video
 1_dirt-track-racing
 
 Respond with ONLY the short name, no other text.`,
-      },
-    ],
-    max_tokens: 50,
-    temperature: 0.7,
   });
 
-  const shortName = response.choices[0].message.content
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-
-  return `${importance}_${shortName}-${generateShortGuid()}`;
+  return slugify(response.trim(), "-");
 }
 
-async function transcribeAudio(videoPath) {
-  console.log("🎯 Starting audio transcription...");
-  startTimer("transcription");
-  const audioPath = "temp_audio.mp3";
+async function transcribeAudio(videoPath, job) {
+  console.log(`🎯 Starting audio transcription for ${job.name}...`);
+  startTimer(`${job.name} transcription`);
+  const audioPath = path.join(job.workDir, "audio.mp3");
 
-  await new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .format("mp3")
-      .save(audioPath)
-      .on("end", () => {
-        console.log("✅ Audio extraction complete");
-        resolve();
-      })
-      .on("error", (err) => {
-        console.error("❌ Audio extraction failed:", err);
-        reject(err);
+  try {
+    await localLimit(() => extractSpeechAudio(videoPath, audioPath));
+    console.log("✅ Audio extraction complete");
+  } catch (err) {
+    console.error("❌ Audio extraction failed:", err);
+    throw err;
+  }
+
+  let transcription;
+  try {
+    const audioDuration = await probeDuration(audioPath);
+    if (audioDuration > config.transcription.chunk_seconds) {
+      transcription = await transcribeInChunks(audioPath, audioDuration, job);
+    } else {
+      console.log(`🤖 Sending audio to Whisper (${transcriber.name})...`);
+      transcription = await transcriber.transcribe({
+        ...stageOptions("transcription"),
+        audioPath,
       });
-  });
+    }
+  } finally {
+    await fs.remove(audioPath);
+  }
 
-  console.log("🤖 Sending audio to Whisper...");
-  const transcription = await openai.audio.transcriptions.create({
-    file: fs.createReadStream(audioPath),
-    model: "whisper-1",
-  });
+  endTimer(`${job.name} transcription`);
+  console.log(
+    `📝 Transcription length: ${transcription.text.length} characters, ${
+      (transcription.segments || []).length
+    } segments`
+  );
+  return { text: transcription.text, segments: transcription.segments || [] };
+}
 
-  await fs.remove(audioPath);
-  endTimer("transcription");
+// Long audio is cut at silences into overlapping chunks that are each
+// small enough to upload, then stitched back onto one timeline
+async function transcribeInChunks(audioPath, duration, job) {
+  const { chunk_seconds, chunk_overlap_seconds } = config.transcription;
+  const silences = await localLimit(() => detectSilences(audioPath));
+  const chunks = planChunks(
+    duration,
+    silences,
+    chunk_seconds,
+    chunk_overlap_seconds
+  );
   console.log(
-    `📝 Transcription length: ${transcription.text.length} characters`
+    `✂️  Splitting ${duration.toFixed(0)}s of audio into ${
+      chunks.length
+    } chunks (${silences.length} silences found)`
   );
-  return transcription.text;
+
+  const results = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    const chunkPath = path.join(job.workDir, `audio_${i}.mp3`);
+    try {
+      await localLimit(() =>
+        extractSpeechAudio(audioPath, chunkPath, {
+          start: chunk.start,
+          duration: chunk.end - chunk.start,
+        })
+      );
+      console.log(
+        `🤖 Sending chunk ${i + 1}/${chunks.length} (${chunk.start.toFixed(
+          1
+        )}s-${chunk.end.toFixed(1)}s) to Whisper (${transcriber.name})...`
+      );
+      const transcription = await transcriber.transcribe({
+        ...stageOptions("transcription"),
+        audioPath: chunkPath,
+      });
+      results.push({ chunk, transcription });
+    } finally {
+      await fs.remove(chunkPath);
+    }
+  }
+
+  return stitchChunks(results);
 }
 
-async function extractKeyframes(videoPath, numFrames) {
-  console.log(`🎯 Starting keyframe extraction (${numFrames} frames)...`);
-  startTimer("keyframes");
-  const frameDir = "frames";
-  await fs.ensureDir(frameDir);
-  await fs.emptyDir(frameDir);
+// Local check for speech-like sound, used to decide whether to transcribe
+async function detectSpeech(videoPath, probe) {
+  const hasAudio = probe.streams.some(
+    (stream) => stream.codec_type === "audio"
+  );
+  if (!hasAudio) {
+    console.log("🔇 No audio track");
+    return { hasAudio: false, hasSpeech: false, activeSeconds: 0 };
+  }
+
+  const { noise_db, min_speech_seconds } = config.speech_detection;
+  const speech = await localLimit(() =>
+    analyzeSpeech(videoPath, probe.format.duration, {
+      noise: `${noise_db}dB`,
+      minSpeechSeconds: min_speech_seconds,
+    })
+  );
+  console.log(
+    `🔊 Voice-band activity: ${speech.activeSeconds}s (max ${
+      speech.maxVolume
+    } dB) - ${speech.hasSpeech ? "possible speech" : "no speech"}`
+  );
+  return speech;
+}
 
+function probeVideo(videoPath) {
   console.log("📊 Getting video metadata...");
-  const metadata = await new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(videoPath, (err, meta) => {
       if (err) {
         console.error("❌ Failed to get video metadata:", err);
@@ -163,78 +289,141 @@ async function extractKeyframes(videoPath, numFrames) {
       }
     });
   });
+}
 
-  const duration = metadata.format.duration;
-  const interval = duration / numFrames;
-  console.log(`⏱️  Frame interval: ${interval.toFixed(2)}s`);
+// Picks when to grab keyframes: the biggest scene changes when scene scores
+// are available, otherwise evenly spaced through the clip
+function chooseKeyframeTimes(count, duration, scenes, exclude = []) {
+  if (!scenes) {
+    const interval = duration / (count + 1);
+    console.log(`⏱️  Frame interval: ${interval.toFixed(2)}s`);
+    return Array.from({ length: count }, (_, i) => (i + 1) * interval);
+  }
 
-  const framePromises = [];
-  let completedFrames = 0;
+  const { times, fromScenes } = pickSceneFrames(scenes, count, duration, {
+    threshold: config.keyframes.scene_threshold,
+    exclude,
+  });
+  if (fromScenes < count) {
+    console.log(
+      `🎞️  ${fromScenes}/${count} frames from scene changes, rest evenly spaced`
+    );
+  } else {
+    console.log(`🎞️  All ${count} frames picked from scene changes`);
+  }
+  return times;
+}
 
-  for (let i = 0; i < numFrames; i++) {
-    const time = i * interval;
-    const framePath = path.join(frameDir, `frame_${i}.jpg`);
-    framePromises.push(
+function grabFrame(videoPath, time, folder, filename) {
+  return localLimit(
+    () =>
       new Promise((resolve, reject) => {
         ffmpeg(videoPath)
-          .screenshots({
-            timestamps: [time],
-            filename: `frame_${i}.jpg`,
-            folder: frameDir,
-          })
-          .on("end", () => {
-            completedFrames++;
-            console.log(`📸 Frame ${completedFrames}/${numFrames} extracted`);
-            resolve(framePath);
-          })
-          .on("error", (err) => {
-            console.error(`❌ Failed to extract frame ${i}:`, err);
-            reject(err);
-          });
+          .screenshots({ timestamps: [time], filename, folder })
+          .on("end", () => resolve(path.join(folder, filename)))
+          .on("error", reject);
       })
+  );
+}
+
+// Grabs the frame at `time`; if it's black, smeared or featureless, tries
+// nearby moments and keeps the first clean one (or the least bad of them).
+// Returns { path, time, quality } where quality is null when scoring is off.
+async function grabGoodFrame(videoPath, time, duration, folder, baseName) {
+  const framePath = await grabFrame(videoPath, time, folder, `${baseName}.jpg`);
+  const thresholds = config.frame_quality;
+  if (!thresholds.enabled) return { path: framePath, time, quality: null };
+
+  const score = await scoreFrame(framePath);
+  let best = { path: framePath, time, score };
+  let problems = frameProblems(score, thresholds);
+
+  for (let i = 0; problems.length > 0 && i < NEARBY_OFFSETS.length; i++) {
+    const candidateTime = time + NEARBY_OFFSETS[i];
+    if (candidateTime < 0 || candidateTime > duration - 0.1) continue;
+
+    const candidatePath = await grabFrame(
+      videoPath,
+      candidateTime,
+      folder,
+      `${baseName}_alt${i}.jpg`
     );
+    const candidateScore = await scoreFrame(candidatePath);
+    const candidateProblems = frameProblems(candidateScore, thresholds);
+    if (
+      candidateProblems.length === 0 ||
+      qualityRank(candidateScore, thresholds) >
+        qualityRank(best.score, thresholds)
+    ) {
+      best = {
+        path: candidatePath,
+        time: candidateTime,
+        score: candidateScore,
+      };
+      problems = candidateProblems;
+    }
   }
 
-  const results = await Promise.all(framePromises);
-  endTimer("keyframes");
+  if (best.time !== time) {
+    console.log(
+      `🔁 Swapped poor frame at ${time.toFixed(1)}s for ${best.time.toFixed(
+        1
+      )}s${problems.length ? ` (still ${problems.join(", ")})` : ""}`
+    );
+  }
+
+  return {
+    path: best.path,
+    time: best.time,
+    quality: { time: best.time, ...best.score, problems },
+  };
+}
+
+async function extractKeyframes(videoPath, timestamps, duration, job) {
+  const numFrames = timestamps.length;
+  console.log(`🎯 Starting keyframe extraction (${numFrames} frames)...`);
+  startTimer(`${job.name} keyframes`);
+  const frameDir = path.join(job.workDir, "frames");
+  await fs.ensureDir(frameDir);
+  await fs.emptyDir(frameDir);
+
+  let completedFrames = 0;
+  const results = await Promise.all(
+    timestamps.map(async (time, i) => {
+      try {
+        const frame = await grabGoodFrame(
+          videoPath,
+          time,
+          duration,
+          frameDir,
+          `frame_${i}`
+        );
+        completedFrames++;
+        console.log(`📸 Frame ${completedFrames}/${numFrames} extracted`);
+        job.frames.set(frame.time, frame.path);
+        return frame;
+      } catch (err) {
+        console.error(`❌ Failed to extract frame ${i}:`, err);
+        throw err;
+      }
+    })
+  );
+
+  endTimer(`${job.name} keyframes`);
   return results;
 }
 
-async function describeFrame(framePath, frameNumber, totalFrames) {
+async function describeFrame(framePath, frameNumber, totalFrames, job) {
   console.log(`🤖 Analyzing frame ${frameNumber}/${totalFrames}...`);
-  startTimer(`frame_${frameNumber}`);
-  const imageData = await fs.readFile(framePath, { encoding: "base64" });
-
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: "Briefly describe what is happening in this image.",
-          },
-          {
-            type: "image_url",
-            image_url: { url: `data:image/jpeg;base64,${imageData}` },
-          },
-        ],
-      },
-    ],
-    max_tokens: 100,
+  startTimer(`${job.name} frame_${frameNumber}`);
+  const response = await provider.vision({
+    ...stageOptions("frame-description"),
+    prompt: "Briefly describe what is happening in this image.",
+    imagePath: framePath,
   });
 
-  if (!response.choices || response.choices.length === 0) {
-    console.error(
-      "❌ Unexpected response from OpenAI:",
-      JSON.stringify(response, null, 2)
-    );
-    throw new Error("OpenAI response did not contain expected choices");
-  }
-
-  const description = response.choices[0].message.content.trim();
-  endTimer(`frame_${frameNumber}`);
+  const description = response.trim();
+  endTimer(`${job.name} frame_${frameNumber}`);
   console.log(`📝 Frame ${frameNumber} description: ${description}`);
   return description;
 }
@@ -255,13 +444,12 @@ Please provide:
 2. A detailed one-paragraph summary of the video.
 `;
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4-turbo-preview",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 300,
+  const response = await provider.chat({
+    ...stageOptions("summary"),
+    prompt,
   });
 
-  const parts = response.choices[0].message.content
+  const parts = response
     .split("\n")
     .map((s) => s.trim())
     .filter(Boolean);
@@ -273,206 +461,97 @@ Please provide:
   return { shortSummary, detailedSummary };
 }
 
-function setMacMetadataXattr(filePath, summary) {
-  console.log("💾 Setting Finder comment...");
-  startTimer("metadata");
-  const absolutePath = path.resolve(process.cwd(), filePath);
-
-  try {
-    // Write the AppleScript to a temporary file
-    const tempScriptPath = path.join(process.cwd(), "_temp_script.scpt");
-    const cleanSummary = summary
-      .replace(/[\\"']/g, "'") // Replace quotes with single quotes
-      .replace(/[\n\r\t]/g, " ") // Replace newlines and tabs with spaces
-      .replace(/\s+/g, " ") // Collapse multiple spaces
-      .trim();
-
-    const scriptContent = `tell application "Finder"
-  set theFile to (POSIX file "${absolutePath}") as alias
-  set comment of theFile to "${cleanSummary}"
-end tell
-`;
-
-    fs.writeFileSync(tempScriptPath, scriptContent, "utf8");
-
-    // Execute the script file
-    execSync(`osascript "${tempScriptPath}"`);
-    fs.unlinkSync(tempScriptPath);
-
-    console.log("✅ Comment set successfully");
-
-    // Verify the comment was set
-    const verifyScript = `tell application "Finder" to get comment of (POSIX file "${absolutePath}" as alias)`;
-    const result = execSync(`osascript -e '${verifyScript}'`).toString().trim();
-    console.log("📝 Verified comment length:", result.length, "characters");
-  } catch (error) {
-    console.error("❌ Failed to set comment:", error.message);
-  }
-  endTimer("metadata");
-}
-
-function drawSummaryOnCanvas(text) {
-  const width = 400;
-  const height = 200;
-  const canvas = createCanvas(width, height);
-  const ctx = canvas.getContext("2d");
-
-  ctx.fillStyle = "#FFFFFF";
-  ctx.fillRect(0, 0, width, height);
-
-  ctx.fillStyle = "#000000";
-  ctx.font = "20px sans-serif";
-  ctx.fillText(text, 10, 50);
-
-  return canvas.toBuffer("image/png");
-}
-
-async function writeSummaryFile(summary, newPath, targetDir) {
-  const summaryTxtPath = path.join(targetDir, "summaries_and_transcripts.txt");
-  const summaryJsonPath = path.join(
-    targetDir,
-    "summaries_and_transcripts.json"
+// Lays the video's keyframes out on a contact sheet, reusing frames grabbed
+// this run and grabbing again any whose stage was restored from a checkpoint
+async function makeContactSheet(videoPath, times, summary, job) {
+  const sheetDir = path.join(job.workDir, "sheet");
+  await fs.ensureDir(sheetDir);
+  const frames = await Promise.all(
+    times.map(async (time, i) => ({
+      time,
+      path:
+        job.frames.get(time) ||
+        (await grabFrame(videoPath, time, sheetDir, `sheet_${i}.jpg`)),
+    }))
   );
 
-  // Write text format
-  const textContent = `File: ${newPath}
-Duration: ${summary.duration_seconds.toFixed(1)} seconds
-Importance: ${summary.importance.rating}/9 - ${summary.importance.reason}
-
-Description:
-${summary.description}
-
-${
-  summary.additional_descriptions.length > 0
-    ? `Additional scenes:\n${summary.additional_descriptions.join("\n")}\n\n`
-    : ""
-}${
-    summary.transcript ? `Transcript:\n${summary.transcript}\n\n` : ""
-  }${"-".repeat(80)}\n\n`;
-
-  await fs.appendFile(summaryTxtPath, textContent);
-
-  // Write JSON format
-  let jsonContent = [];
-  try {
-    if (await fs.pathExists(summaryJsonPath)) {
-      const content = await fs.readFile(summaryJsonPath, "utf8");
-      if (content.trim()) {
-        jsonContent = JSON.parse(
-          content.endsWith(",\n") ? `[${content.slice(0, -2)}]` : content
-        );
-      }
-    }
-  } catch (error) {
-    console.warn("Warning: Could not read existing JSON file, starting fresh");
-  }
-
-  // Add full path to the summary object
-  const summaryWithPath = {
-    ...summary,
-    path: newPath,
-  };
-
-  jsonContent.push(summaryWithPath);
-  await fs.writeFile(summaryJsonPath, JSON.stringify(jsonContent, null, 2));
+  const { location, columns, cell_width } = config.contact_sheet;
+  return localLimit(() =>
+    writeContactSheet(
+      contactSheetPath(videoPath, location),
+      frames,
+      {
+        title: path.basename(videoPath),
+        importance: summary.importance.rating,
+        duration: summary.duration_seconds,
+      },
+      { columns, cellWidth: cell_width }
+    )
+  );
 }
 
-function hasMetadata(filePath) {
-  try {
-    const absolutePath = path.resolve(process.cwd(), filePath);
-    const result = execSync(
-      `osascript -e 'tell application "Finder"
-        set theFile to (POSIX file "${absolutePath}") as alias
-        get comment of theFile
-      end tell'`
-    )
-      .toString()
-      .trim();
-    return result.length > 0;
-  } catch {
-    return false;
-  }
+// Upserts the summary into the catalog store, replacing any earlier entry
+// for the same video, then regenerates the JSON and TXT exports and adds
+// it to the search index
+async function writeSummaryFile(summary, newPath, replaces = []) {
+  const entry = await catalog.upsert({ ...summary, path: newPath }, replaces);
+  await catalog.exportFiles();
+  await textIndex.update(entry, replaces);
 }
 
-async function analyzeInitialFrame(videoPath) {
+async function analyzeInitialFrame(videoPath, duration, frameTime, job) {
   console.log("🔍 Analyzing initial frame for content assessment...");
-  const frameDir = "frames";
+  const frameDir = path.join(job.workDir, "initial");
   await fs.ensureDir(frameDir);
   await fs.emptyDir(frameDir);
 
-  // Get video duration
-  const metadata = await new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(videoPath, (err, meta) => {
-      if (err) reject(err);
-      else resolve(meta);
-    });
-  });
-  const duration = metadata.format.duration;
-  console.log(`📊 Video duration: ${duration.toFixed(1)}s`);
-
-  // Extract a single frame from 20% into the video
-  const framePath = path.join(frameDir, "initial_frame.jpg");
-  await new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .screenshots({
-        timestamps: [duration * 0.2],
-        filename: "initial_frame.jpg",
-        folder: frameDir,
-      })
-      .on("end", resolve)
-      .on("error", reject);
-  });
+  // Extract a single representative frame, swapping it for a nearby one
+  // if it's unusable
+  const initialFrame = await grabGoodFrame(
+    videoPath,
+    frameTime,
+    duration,
+    frameDir,
+    "initial_frame"
+  );
+  const framePath = initialFrame.path;
+  job.frames.set(initialFrame.time, framePath);
 
   // Analyze the frame
-  const imageData = await fs.readFile(framePath, { encoding: "base64" });
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text:
-              "Analyze this image and return a JSON object with EXACTLY this format:\n" +
-              "{\n" +
-              '  "description": "A clear, factual description without flowery language",\n' +
-              '  "needsTranscript": true/false,\n' +
-              '  "additionalKeyframes": number between 0-4\n' +
-              "}\n\n" +
-              "CRITICAL TRANSCRIPT RULES:\n" +
-              "1. ALWAYS set needsTranscript=true if:\n" +
-              "   - Video is longer than 5 seconds\n" +
-              "   - There are any people visible\n" +
-              "   - There are any children visible\n" +
-              "   - There appears to be any conversation or interaction\n" +
-              "   - There is any text or signage visible\n" +
-              "   - There is any audio that might contain speech\n" +
-              "2. Only set needsTranscript=false if:\n" +
-              "   - Video is very short (under 5 seconds)\n" +
-              "   - Contains only scenery or objects\n" +
-              "   - No people or text visible\n" +
-              "   - No apparent conversation or interaction\n" +
-              "\n" +
-              "Guidelines:\n" +
-              "- description: Keep it simple and factual\n" +
-              "- needsTranscript: Follow the rules above strictly\n" +
-              "- additionalKeyframes: Request more if scene is dynamic or multiple angles would help\n" +
-              "\nRespond ONLY with the JSON object, no other text.",
-          },
-          {
-            type: "image_url",
-            image_url: { url: `data:image/jpeg;base64,${imageData}` },
-          },
-        ],
-      },
-    ],
-    max_tokens: 500,
+  const response = await provider.vision({
+    ...stageOptions("initial-analysis"),
+    prompt:
+      "Analyze this image and return a JSON object with EXACTLY this format:\n" +
+      "{\n" +
+      '  "description": "A clear, factual description without flowery language",\n' +
+      '  "needsTranscript": true/false,\n' +
+      '  "additionalKeyframes": number between 0-4\n' +
+      "}\n\n" +
+      "CRITICAL TRANSCRIPT RULES:\n" +
+      "1. ALWAYS set needsTranscript=true if:\n" +
+      "   - Video is longer than 5 seconds\n" +
+      "   - There are any people visible\n" +
+      "   - There are any children visible\n" +
+      "   - There appears to be any conversation or interaction\n" +
+      "   - There is any text or signage visible\n" +
+      "   - There is any audio that might contain speech\n" +
+      "2. Only set needsTranscript=false if:\n" +
+      "   - Video is very short (under 5 seconds)\n" +
+      "   - Contains only scenery or objects\n" +
+      "   - No people or text visible\n" +
+      "   - No apparent conversation or interaction\n" +
+      "\n" +
+      "Guidelines:\n" +
+      "- description: Keep it simple and factual\n" +
+      "- needsTranscript: Follow the rules above strictly\n" +
+      "- additionalKeyframes: Request more if scene is dynamic or multiple angles would help\n" +
+      "\nRespond ONLY with the JSON object, no other text.",
+    imagePath: framePath,
   });
 
   try {
     // Try to parse the response
-    const responseText = response.choices[0].message.content
+    const responseText = response
       .trim()
       .replace(/^```json\n/, "") // Remove opening markdown
       .replace(/\n```$/, "") // Remove closing markdown
@@ -494,15 +573,20 @@ async function analyzeInitialFrame(videoPath) {
       analysis.additionalKeyframes < 0 ||
       analysis.additionalKeyframes > 4
     ) {
-      throw new Error("Invalid response format from OpenAI");
+      throw new Error(`Invalid response format from ${provider.name}`);
     }
 
     console.log("📋 Initial Analysis:", analysis);
-    return { ...analysis, duration };
+    return {
+      ...analysis,
+      duration,
+      frameTime: initialFrame.time,
+      frameQuality: initialFrame.quality,
+    };
   } catch (error) {
-    console.error("Failed to parse OpenAI response:", error);
-    console.error("Response was:", response.choices[0].message.content);
-    throw new Error("Failed to get valid analysis from OpenAI");
+    console.error(`Failed to parse ${provider.name} response:`, error);
+    console.error("Response was:", response);
+    throw new Error(`Failed to get valid analysis from ${provider.name}`);
   }
 }
 
@@ -510,7 +594,9 @@ async function determineImportance(
   initialDescription,
   additionalDescriptions,
   transcript,
-  duration
+  duration,
+  frameQuality = [],
+  place = null
 ) {
   console.log("🤔 Determining video importance and full description...");
 
@@ -528,12 +614,19 @@ ${
 }
 ${transcript ? `\nTranscript: ${transcript}` : "\nNo speech detected in video."}
 Duration: ${duration.toFixed(1)} seconds
-
+${place ? `Filmed near: ${place.name}\n` : ""}${
+    frameQuality.length > 0
+      ? `\nFrame quality (measured locally, frames in the order described above):\n${describeFrameQuality(
+          frameQuality
+        )}\nIf most frames are blurry, too dark or featureless, rate it as "Blurry or unclear footage".\n`
+      : ""
+  }
 Return a JSON object with EXACTLY this format:
 {
   "importance": number between 1-9,
   "reason": "brief explanation of the rating",
-  "fullDescription": "clear, factual description of the complete video content"
+  "fullDescription": "clear, factual description of the complete video content",
+  "keywords": ["3-8 short lowercase subject keywords, e.g. birthday, beach, dog"]
 }
 
 CRITICAL IMPORTANCE RATING GUIDELINES:
@@ -576,14 +669,13 @@ Remember: If you see kids, pets, or family activities, this is AUTOMATICALLY a h
 
 Respond ONLY with the JSON object, no other text.`;
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4-turbo-preview",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 500,
+  const response = await provider.chat({
+    ...stageOptions("importance"),
+    prompt,
   });
 
   try {
-    const responseText = response.choices[0].message.content
+    const responseText = response
       .trim()
       .replace(/^```json\n/, "")
       .replace(/\n```$/, "")
@@ -600,137 +692,529 @@ Respond ONLY with the JSON object, no other text.`;
       analysis.importance < 1 ||
       analysis.importance > 9
     ) {
-      throw new Error("Invalid importance analysis format from OpenAI");
+      throw new Error(
+        `Invalid importance analysis format from ${provider.name}`
+      );
     }
 
+    // Keywords are nice to have; don't fail the whole video over them
+    analysis.keywords = Array.isArray(analysis.keywords)
+      ? analysis.keywords
+          .filter((keyword) => typeof keyword === "string" && keyword.trim())
+          .map((keyword) => keyword.trim().toLowerCase())
+      : [];
+
     console.log("📊 Analysis:", analysis);
     return analysis;
   } catch (error) {
-    console.error("Failed to parse OpenAI response:", error);
-    console.error("Response was:", response.choices[0].message.content);
-    throw new Error("Failed to get valid analysis from OpenAI");
+    console.error(`Failed to parse ${provider.name} response:`, error);
+    console.error("Response was:", response);
+    throw new Error(`Failed to get valid analysis from ${provider.name}`);
+  }
+}
+
+// Extracts the extra keyframes the initial analysis asked for and describes
+// them all at once; the API limiter keeps the request count in check.
+// Each description is checkpointed as it arrives, so a crash part way
+// through only repeats the frames that hadn't come back yet.
+async function describeAdditionalFrames(
+  videoPath,
+  additionalKeyframes,
+  { duration, scenes, initialTime },
+  job,
+  checkpoint,
+  inputs
+) {
+  if (additionalKeyframes <= 0) return [];
+
+  const frameCount = additionalKeyframes + 1;
+  const indexes = Array.from({ length: additionalKeyframes }, (_, i) => i + 1);
+  const needsFrames = indexes.some(
+    (i) => !checkpoint.has(`frames.${i}`, inputs)
+  );
+  const frames = needsFrames
+    ? await extractKeyframes(
+        videoPath,
+        chooseKeyframeTimes(additionalKeyframes, duration, scenes, [
+          initialTime,
+        ]),
+        duration,
+        job
+      )
+    : [];
+
+  return Promise.all(
+    indexes.map((i) =>
+      checkpoint.run(
+        `frames.${i}`,
+        async () => ({
+          description: await describeFrame(
+            frames[i - 1].path,
+            i + 1,
+            frameCount,
+            job
+          ),
+          quality: frames[i - 1].quality,
+          time: frames[i - 1].time,
+        }),
+        inputs
+      )
+    )
+  );
+}
+
+// Renames a video along with any sidecars it already has (from an earlier
+// run) and records it in the rename journal, so undo.cjs can put it back
+async function renameVideo(videoPath, newPath, fingerprint) {
+  if (path.resolve(videoPath) === path.resolve(newPath)) return;
+  const sidecars = [];
+  const moves = await sidecarMoves(videoPath, newPath);
+  await fs.rename(videoPath, newPath);
+  for (const move of moves) {
+    try {
+      await fs.move(move.from, move.to, { overwrite: false });
+      sidecars.push(move);
+    } catch (error) {
+      console.warn(`⚠️  Left ${move.from} in place: ${error.message}`);
+    }
   }
+  await journal.recordRename({
+    run: runId,
+    from: path.resolve(videoPath),
+    to: path.resolve(newPath),
+    fingerprint,
+    sidecars: sidecars.map(({ from, to }) => ({
+      from: path.resolve(from),
+      to: path.resolve(to),
+    })),
+  });
+}
+
+// A byte-for-byte copy of a catalogued video (same fingerprint, other
+// path, and the catalogued file is still there) is noted on its entry so
+// dedupe.cjs can report it
+async function recordCopy(match, videoPath, catalogDir) {
+  const original = entryPath(match.entry, catalogDir);
+  const copyPath = path.resolve(videoPath);
+  const copies = match.entry.copies || [];
+  if (original === copyPath || copies.includes(copyPath)) return;
+  if (!(await fs.pathExists(original))) return;
+
+  await catalog.upsert({ ...match.entry, copies: [...copies, copyPath] });
+  await catalog.exportFiles();
+}
+
+// The better copy of this video already in the catalog, as { id,
+// filename, kind, reason }, or null
+function findDuplicate(clip, catalogDir) {
+  const others = catalog
+    .entries()
+    .filter((entry) => entry.similarity && entry.id !== clip.id)
+    .map((entry) => clipFromEntry(entry, entryPath(entry, catalogDir)));
+  const better = findBetterCopy(clip, others, config.duplicates);
+  return better
+    ? {
+        id: better.clip.id,
+        filename: better.clip.entry.filename,
+        kind: better.kind,
+        reason: better.reason,
+      }
+    : null;
+}
+
+// What each checkpointed stage's result depends on besides the video
+// itself: the model settings, thresholds and prompt context it ran with.
+// A checkpoint made with different inputs is redone.
+function stageInputs(place) {
+  const model = (stage) => ({
+    provider: config.provider,
+    ...config.stages[stage],
+  });
+  const placeName = place ? place.name : null;
+  return {
+    similarity: {
+      frame_interval: config.duplicates.frame_interval,
+      max_frames: config.duplicates.max_frames,
+    },
+    speech: config.speech_detection,
+    initial: {
+      ...model("initial-analysis"),
+      keyframes: config.keyframes,
+      frame_quality: config.frame_quality,
+    },
+    transcript: {
+      ...model("transcription"),
+      transcription: config.transcription,
+    },
+    frames: {
+      ...model("frame-description"),
+      keyframes: config.keyframes,
+      frame_quality: config.frame_quality,
+    },
+    importance: { ...model("importance"), place: placeName },
+    name: { ...model("short-name"), place: placeName },
+  };
+}
+
+// Fingerprints a video and checks the catalog for it; returns the
+// fingerprint, its existing catalog entry (if any) and the reason to skip
+// it, which --force clears
+async function checkProcessed(videoPath, forcedStages) {
+  const fingerprint = await localLimit(() => fingerprintMedia(videoPath));
+  const match = catalog.findProcessed({ fingerprint, filePath: videoPath });
+  return {
+    fingerprint,
+    match,
+    skip: forcedStages.size > 0 ? null : match,
+  };
 }
 
-async function processVideo(videoPath, force = false, targetDir) {
+async function processVideo(videoPath, forcedStages = new Set(), targetDir) {
   console.log("\n🎬 ===========================================");
   console.log(`🎬 Processing video: ${path.basename(videoPath)}`);
   console.log("===========================================\n");
-  startTimer("total");
 
-  if (!force && hasMetadata(videoPath)) {
+  const { fingerprint, match, skip } = await checkProcessed(
+    videoPath,
+    forcedStages
+  );
+  if (skip) {
+    await recordCopy(skip, videoPath, targetDir);
     console.log(
-      `⏭️  Skipping "${videoPath}", already summarised. Use --force to reprocess.`
+      `⏭️  Skipping "${videoPath}", already summarised: ${skip.reason}. Use --force to reprocess.`
     );
     return;
   }
 
+  // Every job gets its own scratch directory so jobs can run side by side
+  const job = {
+    name: path.basename(videoPath),
+    workDir: await fs.mkdtemp(path.join(os.tmpdir(), "dusty-job-")),
+    // Keyframes grabbed this run by time, for the contact sheet
+    frames: new Map(),
+  };
+  startTimer(`${job.name} total`);
+
   try {
-    // Initial analysis to determine processing needs
-    const { description, needsTranscript, additionalKeyframes, duration } =
-      await analyzeInitialFrame(videoPath);
-
-    // Get transcript if needed
-    let transcript = "";
-    if (needsTranscript) {
-      transcript = await transcribeAudio(videoPath);
+    // Each stage's result is saved against the file's content hash, so a
+    // rerun after a crash picks up at the first stage that hadn't finished
+    const checkpoint = await openCheckpoint(
+      targetDir,
+      fingerprint,
+      forcedStages
+    );
+
+    const probe = await checkpoint.run("probe", () => probeVideo(videoPath));
+    const duration = probe.format.duration;
+    const media = readMediaProfile(probe);
+    if (media.video) {
+      const { resolution, codec, frame_rate, hdr } = media.video;
+      console.log(
+        `🎞️  ${resolution} ${codec} ${frame_rate}fps${hdr ? " HDR" : ""}`
+      );
     }
 
-    // Get additional frames if needed
-    const descriptions = [description];
-    if (additionalKeyframes > 0) {
-      const framePaths = await extractKeyframes(
-        videoPath,
-        additionalKeyframes + 1
+    // GPS position from the phone, named with the offline gazetteer
+    const location = config.location.enabled
+      ? readLocation(probe, config.location)
+      : null;
+    const place = location && location.place;
+    if (place) console.log(`📍 Filmed near ${place.name}`);
+    const inputs = stageInputs(place);
+
+    // Frame and audio hashes, to spot re-encoded and trimmed copies of
+    // videos already in the catalog
+    const similarity = config.duplicates.enabled
+      ? await checkpoint.run(
+          "similarity",
+          () =>
+            localLimit(() =>
+              computeSimilarity(videoPath, probe, config.duplicates)
+            ),
+          inputs.similarity
+        )
+      : null;
+    const duplicate = similarity
+      ? findDuplicate(
+          {
+            id: match ? match.id : fingerprint,
+            fingerprint,
+            duration,
+            similarity,
+            media,
+          },
+          targetDir
+        )
+      : null;
+    if (duplicate) {
+      console.log(
+        `👯 ${
+          duplicate.kind === "trimmed" ? "Trimmed" : "Re-encoded"
+        } copy of ${duplicate.filename}, which is better (${duplicate.reason})`
       );
-      for (let i = 1; i < framePaths.length; i++) {
-        const desc = await describeFrame(
-          framePaths[i],
-          i + 1,
-          framePaths.length
-        );
-        descriptions.push(desc);
-      }
     }
 
-    // Determine importance using all available data
-    const importance = await determineImportance(
+    // Scene-change scores steer which frames get described
+    const scenes =
+      config.keyframes.mode === "scene"
+        ? await checkpoint.run("scenes", () =>
+            localLimit(() => detectSceneScores(videoPath))
+          )
+        : null;
+
+    // Initial analysis to determine processing needs; uniform mode keeps
+    // the classic frame 20% into the clip. The local speech check runs
+    // alongside it.
+    const [
+      {
+        description,
+        needsTranscript: visionNeedsTranscript,
+        additionalKeyframes,
+        frameTime,
+        frameQuality: initialQuality,
+      },
+      speech,
+    ] = await Promise.all([
+      checkpoint.run(
+        "initial",
+        () =>
+          analyzeInitialFrame(
+            videoPath,
+            duration,
+            scenes
+              ? chooseKeyframeTimes(1, duration, scenes)[0]
+              : duration * 0.2,
+            job
+          ),
+        inputs.initial
+      ),
+      config.speech_detection.enabled
+        ? checkpoint.run(
+            "speech",
+            () => detectSpeech(videoPath, probe),
+            inputs.speech
+          )
+        : null,
+    ]);
+
+    // Measured audio beats the vision model's guess from a single still
+    const needsTranscript = speech ? speech.hasSpeech : visionNeedsTranscript;
+    if (!needsTranscript) console.log("⏭️  Skipping transcription");
+
+    // Transcription and the extra frames don't depend on each other, so
+    // run them together to overlap the upload with frame extraction
+    const [
+      { text: transcript, segments: transcriptSegments },
+      additionalFrames,
+    ] = await Promise.all([
+      checkpoint.run(
+        "transcript",
+        async () =>
+          needsTranscript
+            ? transcribeAudio(videoPath, job)
+            : { text: "", segments: [] },
+        // The empty transcript saved for a silent clip mustn't be reused
+        // once it's judged to have speech, or the other way round
+        { ...inputs.transcript, needed: needsTranscript }
+      ),
+      checkpoint.run(
+        "frames",
+        () =>
+          describeAdditionalFrames(
+            videoPath,
+            additionalKeyframes,
+            { duration, scenes, initialTime: frameTime },
+            job,
+            checkpoint,
+            inputs.frames
+          ),
+        inputs.frames
+      ),
+    ]);
+    const descriptions = [
       description,
-      descriptions.slice(1),
-      transcript,
-      duration
-    );
+      ...additionalFrames.map((frame) => frame.description),
+    ];
+    const frameQuality = [
+      initialQuality,
+      ...additionalFrames.map((frame) => frame.quality),
+    ].filter(Boolean);
 
-    // Generate filename and summary
+    // Determine importance using all available data
+    const importance = await checkpoint.run(
+      "importance",
+      () =>
+        determineImportance(
+          description,
+          descriptions.slice(1),
+          transcript,
+          duration,
+          frameQuality,
+          place
+        ),
+      inputs.importance
+    );
+    // The model rates the clip on its own; being a copy of a better one is
+    // applied on top, so the rating can come back if that changes
+    const ownRating = {
+      rating: importance.importance,
+      reason: importance.reason,
+    };
+    const rating = duplicate
+      ? rateAsDuplicate(ownRating, duplicate)
+      : ownRating;
+
+    // Build the new name from the template. Everything but the slug comes
+    // from the file itself, and the slug is checkpointed, so a rerun
+    // arrives at the same name.
+    const slug = await checkpoint.run(
+      "name",
+      () => generateShortName(description, place),
+      inputs.name
+    );
+    const originalName =
+      (match && match.entry.original_name) || path.basename(videoPath);
+    const captured = await readCaptureDate(
+      videoPath,
+      probe,
+      originalName,
+      config.capture_date
+    );
     const newFileName =
-      (await generateShortName(description, importance.importance)) +
-      path.extname(videoPath);
+      renderFilename(
+        {
+          captured: captured.local,
+          importance: rating.rating,
+          slug,
+          camera: media.camera && media.camera.model,
+          hash: fingerprint.slice(0, config.filenames.hash_length),
+          original: path.parse(originalName).name,
+        },
+        config.filenames
+      ) + path.extname(videoPath);
     const newPath = path.join(path.dirname(videoPath), newFileName);
+    const sameFile =
+      path.resolve(newPath).toLowerCase() ===
+      path.resolve(videoPath).toLowerCase();
+    if (!sameFile && (await fs.pathExists(newPath))) {
+      throw new Error(`Can't rename to ${newFileName}, it already exists`);
+    }
 
-    // Create summary object
+    // Create summary object; a reprocessed video keeps the name it had
+    // before it was first renamed
     const summary = {
       filename: newFileName,
-      original_name: path.basename(videoPath),
-      importance: {
-        rating: importance.importance,
-        reason: importance.reason,
-      },
+      original_name: originalName,
+      fingerprint,
+      importance: rating,
       duration_seconds: duration,
+      captured_at: captured.captured_at,
+      captured_at_source: captured.source,
+      location,
+      media,
+      similarity,
+      duplicate_of: duplicate,
       description: importance.fullDescription,
+      keywords: importance.keywords || [],
       additional_descriptions: descriptions.slice(1),
       transcript: transcript || null,
+      transcript_segments: transcriptSegments,
+      frame_quality: frameQuality,
+      // The frame the initial analysis looked at, used as the poster
+      poster_time: frameTime,
+      speech: speech || null,
       processed_at: new Date().toISOString(),
     };
 
-    // Write summaries with full paths
-    await writeSummaryFile(summary, path.resolve(newPath), targetDir);
+    // Reprocessing replaces the video's old entry rather than adding another
+    await writeSummaryFile(
+      summary,
+      path.resolve(newPath),
+      match ? [match.id] : []
+    );
 
     // Rename file and set metadata
-    console.log(`📝 Renaming to: ${newFileName}`);
-    await fs.rename(videoPath, newPath);
-    setMacMetadataXattr(
-      newPath,
-      `${importance.fullDescription}\n\nImportance: ${importance.importance}/9 - ${importance.reason}`
+    console.log(
+      path.resolve(newPath) === path.resolve(videoPath)
+        ? `📝 Keeping name: ${newFileName}`
+        : `📝 Renaming to: ${newFileName}`
+    );
+    await renameVideo(videoPath, newPath, fingerprint);
+    await localLimit(() =>
+      writeMetadata(metadataWriters, newPath, {
+        description: importance.fullDescription,
+        importance: summary.importance,
+        keywords: summary.keywords,
+        comment: `${importance.fullDescription}\n\nImportance: ${rating.rating}/9 - ${rating.reason}`,
+      })
     );
 
-    await fs.remove("frames");
-    endTimer("total");
+    if (config.captions.length > 0) {
+      const captionPaths = await writeCaptionSidecars(
+        newPath,
+        transcriptSegments,
+        config.captions
+      );
+      for (const captionPath of captionPaths) {
+        console.log(`💬 Wrote captions: ${path.basename(captionPath)}`);
+      }
+    }
+
+    if (config.contact_sheet.enabled) {
+      const times = [frameTime, ...additionalFrames.map((frame) => frame.time)];
+      try {
+        const sheetPath = await makeContactSheet(newPath, times, summary, job);
+        console.log(`🗂️  Wrote contact sheet: ${sheetPath}`);
+      } catch (error) {
+        console.warn(`⚠️  Could not write contact sheet: ${error.message}`);
+      }
+    }
+
+    endTimer(`${job.name} total`);
     console.log(`\n✅ Successfully processed: ${newFileName}`);
   } catch (error) {
-    console.error("\n❌ Error processing video:", error);
+    console.error(`\n❌ Error processing video ${job.name}:`, error);
     throw error;
+  } finally {
+    await fs.remove(job.workDir);
   }
 }
 
-async function setTimestampComment(filePath) {
+async function setTimestampComment(filePath, writers) {
   const timestamp = new Date().toLocaleString();
   console.log(`💾 Setting timestamp comment on: ${path.basename(filePath)}`);
+  await writeMetadata(writers, filePath, {
+    comment: `File processed at: ${timestamp}`,
+  });
+}
 
-  const absolutePath = path.resolve(process.cwd(), filePath);
-  try {
-    const comment = `File processed at: ${timestamp}`;
-    const script = `tell application "Finder"
-      set theFile to (POSIX file "${absolutePath}") as alias
-      set comment of theFile to "${comment}"
-    end tell`;
-
-    execSync(`osascript -e '${script}'`);
-    console.log("✅ Comment set successfully");
-
-    // Verify the comment was set
-    const verifyScript = `tell application "Finder" to get comment of (POSIX file "${absolutePath}" as alias)`;
-    const result = execSync(`osascript -e '${verifyScript}'`).toString().trim();
-    console.log("📝 Comment:", result);
-  } catch (error) {
-    console.error("❌ Failed to set comment:", error.message);
-  }
+// Lists what a run would do with each file, without processing anything
+async function reportSkips(files, forcedStages) {
+  console.log(`\n📋 Skip report for ${files.length} files:`);
+  let skipped = 0;
+  await runPool(files, config.concurrency.jobs, async (file) => {
+    const { skip } = await checkProcessed(file, forcedStages);
+    if (skip) {
+      skipped++;
+      console.log(`⏭️  skip     ${path.basename(file)} - ${skip.reason}`);
+    } else {
+      const reason =
+        forcedStages.size > 0 ? "--force given" : "not in the catalog";
+      console.log(`🎬 process  ${path.basename(file)} - ${reason}`);
+    }
+  });
+  console.log(
+    `\n📊 ${skipped} would be skipped, ${files.length - skipped} processed`
+  );
 }
 
 async function processDirectory(
   dir,
-  force = false,
+  forcedStages = new Set(),
   commentOnly = false,
-  mp4 = false
+  mp4 = false,
+  skipReport = false,
+  catalogDir = dir
 ) {
   console.log(`📂 Scanning directory: ${dir}`);
 
@@ -744,35 +1228,146 @@ async function processDirectory(
 
   console.log(`📊 Found ${files.length}${mp4 ? " MP4" : " MOV"} files`);
 
+  catalog = await openCatalog(catalogDir);
+  journal = await openJournal(catalogDir);
+  textIndex = await openTextIndex(catalogDir);
+  await textIndex.sync(catalog.entries());
+
+  if (skipReport) {
+    await reportSkips(files, forcedStages);
+    return;
+  }
+
   if (commentOnly) {
+    // Only writers that leave the video itself alone: remuxing every file
+    // in the folder just to stamp a comment isn't worth it
+    const writers = metadataWriters.filter((writer) => !writer.rewritesFile);
+    if (writers.length === 0) {
+      console.log(
+        "⏭️  No comment writers selected; use --metadata=finder, xattr or xmp"
+      );
+      return;
+    }
     for (let i = 0; i < files.length; i++) {
       console.log(`\n📝 Setting comment on file ${i + 1}/${files.length}`);
-      await setTimestampComment(files[i]);
+      await setTimestampComment(files[i], writers);
     }
     return;
   }
 
   files.sort((a, b) => fs.statSync(a).size - fs.statSync(b).size);
-  for (let i = 0; i < files.length; i++) {
+  const { jobs } = config.concurrency;
+  if (jobs > 1) console.log(`🧵 Processing up to ${jobs} files at once`);
+  console.log(
+    `🧾 Run ID: ${runId} (undo its renames with: node undo.cjs ${catalogDir} --run=${runId})`
+  );
+
+  const failures = await runPool(files, jobs, async (file, i) => {
     console.log(`\n🎬 Processing file ${i + 1}/${files.length}`);
-    await processVideo(files[i], force, dir);
+    await processVideo(file, forcedStages, catalogDir);
+  });
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length}/${files.length} files failed:`);
+    for (const { item, error } of failures) {
+      console.error(`   ${path.basename(item)}: ${error.message}`);
+    }
+    process.exitCode = 1;
   }
 }
 
 const args = process.argv.slice(2);
 const dirPath = args[0];
-const force = args.includes("--force");
+const forceArg = args.find(
+  (arg) => arg === "--force" || arg.startsWith("--force=")
+);
 const commentOnly = args.includes("--comment-only");
 const mp4 = args.includes("--mp4");
+const providerArg = args.find((arg) => arg.startsWith("--provider="));
+const configArg = args.find((arg) => arg.startsWith("--config="));
+const transcriberArg = args.find((arg) => arg.startsWith("--transcriber="));
+const captionsArg = args.find((arg) => arg.startsWith("--captions="));
+const concurrencyArg = args.find((arg) => arg.startsWith("--concurrency="));
+const keyframesArg = args.find((arg) => arg.startsWith("--keyframes="));
+const metadataArg = args.find((arg) => arg.startsWith("--metadata="));
+const nameTemplateArg = args.find((arg) => arg.startsWith("--name-template="));
+const contactSheetArg = args.find(
+  (arg) => arg === "--contact-sheet" || arg.startsWith("--contact-sheet=")
+);
+const catalogArg = args.find((arg) => arg.startsWith("--catalog="));
+const skipReport = args.includes("--skip-report");
+const fixturesArg = args.find((arg) => arg.startsWith("--fixtures="));
+const fixturesDir = fixturesArg ? fixturesArg.split("=")[1] : undefined;
 
 if (!dirPath) {
   console.log(
-    "Usage: node convert.cjs path/to/video/folder [--force] [--comment-only] [--mp4]"
+    "Usage: node convert.cjs path/to/video/folder [--force[=stage,...]] [--comment-only] [--mp4] [--provider=openai|fixture] [--fixtures=path] [--config=path] [--transcriber=provider|whisper-cpp|faster-whisper] [--captions=srt,vtt] [--concurrency=N] [--keyframes=uniform|scene] [--metadata=container,finder,xmp,xattr] [--contact-sheet[=thumbnails|beside]] [--name-template=TEMPLATE] [--catalog=dir] [--skip-report]"
   );
   process.exit(1);
 }
 
-processDirectory(dirPath, force, commentOnly, mp4).catch((error) => {
+// --force reruns everything; --force=transcript,frames reruns just those
+// stages (and whatever depends on them) and reuses the rest
+let forcedStages = new Set();
+try {
+  if (forceArg === "--force") {
+    forcedStages = new Set(STAGES);
+  } else if (forceArg) {
+    forcedStages = expandForcedStages(
+      forceArg.split("=")[1].split(",").filter(Boolean)
+    );
+  }
+  config = loadConfig(configArg ? configArg.split("=")[1] : undefined, {
+    provider: providerArg ? providerArg.split("=")[1] : undefined,
+    transcriber: transcriberArg ? transcriberArg.split("=")[1] : undefined,
+    captions: captionsArg
+      ? captionsArg.split("=")[1].split(",").filter(Boolean)
+      : undefined,
+    jobs: concurrencyArg ? Number(concurrencyArg.split("=")[1]) : undefined,
+    keyframes: keyframesArg ? keyframesArg.split("=")[1] : undefined,
+    metadataWriters: metadataArg
+      ? metadataArg.split("=")[1].split(",").filter(Boolean)
+      : undefined,
+    filenameTemplate: nameTemplateArg
+      ? nameTemplateArg.slice("--name-template=".length)
+      : undefined,
+    contactSheet: contactSheetArg
+      ? contactSheetArg.split("=")[1] || "thumbnails"
+      : undefined,
+  });
+  printConfig(config);
+  provider = createProvider(config.provider, { fixturesDir });
+  console.log(`🤖 Using AI provider: ${provider.name}`);
+  transcriber =
+    config.transcription.backend === "provider"
+      ? provider
+      : createLocalWhisper(config.transcription);
+  console.log(`🎙️  Using transcriber: ${transcriber.name}`);
+  metadataWriters = createMetadataWriters(config.metadata.writers);
+
+  // API calls and CPU-heavy local work (ffmpeg, local whisper) get separate
+  // limits so one kind of step can run while the other is waiting
+  const apiLimit = createLimiter(config.concurrency.api);
+  localLimit = createLimiter(config.concurrency.local);
+  const apiMethods = ["chat", "vision", "transcribe"];
+  provider = limitCalls(provider, apiLimit, apiMethods);
+  transcriber =
+    config.transcription.backend === "provider"
+      ? provider
+      : limitCalls(transcriber, localLimit, ["transcribe"]);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+processDirectory(
+  dirPath,
+  forcedStages,
+  commentOnly,
+  mp4,
+  skipReport,
+  catalogArg ? catalogArg.split("=")[1] : dirPath
+).catch((error) => {
   console.error("\n❌ Fatal error:", error);
   process.exit(1);
 });
@@ -0,0 +1,328 @@
+const fs = require("fs-extra");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const { execSync } = require("child_process");
+const ffmpegStatic = require("ffmpeg-static");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { loadConfig } = require("./lib/config.cjs");
+const { entryPath } = require("./lib/search.cjs");
+const { readMediaProfile } = require("./lib/media-profile.cjs");
+const {
+  computeSimilarity,
+  clipFromEntry,
+  groupDuplicates,
+  rateAsDuplicate,
+  DUPLICATE_RATING,
+} = require("./lib/duplicates.cjs");
+
+const OUTPUT_FORMATS = ["table", "json", "paths"];
+
+// Configure ffmpeg path
+function configureFfmpeg() {
+  try {
+    if (ffmpegStatic) {
+      ffmpeg.setFfmpegPath(ffmpegStatic);
+      ffmpeg.setFfprobePath(execSync("which ffprobe").toString().trim());
+    } else {
+      ffmpeg.setFfmpegPath(execSync("which ffmpeg").toString().trim());
+      ffmpeg.setFfprobePath(execSync("which ffprobe").toString().trim());
+    }
+    return true;
+  } catch (error) {
+    console.error("❌ Error configuring FFmpeg paths:", error.message);
+    console.error("💡 Make sure FFmpeg is installed: brew install ffmpeg");
+    return false;
+  }
+}
+
+function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoPath, (err, meta) => {
+      if (err) reject(err);
+      else resolve(meta);
+    });
+  });
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+}
+
+// Entries catalogued before duplicate detection have no hashes yet; they
+// get them (and a media profile) now, saved back to the catalog
+async function hashMissing(catalog, catalogDir, settings) {
+  const missing = [];
+  for (const entry of catalog.entries()) {
+    const videoPath = entryPath(entry, catalogDir);
+    if (!entry.similarity && (await fs.pathExists(videoPath))) {
+      missing.push({ entry, videoPath });
+    }
+  }
+  if (missing.length === 0) return;
+
+  for (let i = 0; i < missing.length; i++) {
+    const { entry, videoPath } = missing[i];
+    console.error(
+      `🔍 Hashing ${i + 1}/${missing.length}: ${path.basename(videoPath)}`
+    );
+    try {
+      const probe = await probeVideo(videoPath);
+      await catalog.upsert({
+        ...entry,
+        media: entry.media || readMediaProfile(probe),
+        similarity: await computeSimilarity(videoPath, probe, settings),
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not hash ${entry.filename}: ${error.message}`);
+    }
+  }
+  await catalog.exportFiles();
+}
+
+// Every catalogued video still on disk, plus the byte-for-byte copies
+// convert.cjs found of them
+async function collectClips(catalog, catalogDir) {
+  const clips = [];
+  for (const entry of catalog.entries()) {
+    const paths = [entryPath(entry, catalogDir), ...(entry.copies || [])];
+    for (const videoPath of paths) {
+      if (!(await fs.pathExists(videoPath))) continue;
+      clips.push({
+        ...clipFromEntry(entry, videoPath),
+        id: clips.some((clip) => clip.id === entry.id)
+          ? `${entry.id}:${videoPath}`
+          : entry.id,
+        size: (await fs.stat(videoPath)).size,
+      });
+    }
+  }
+  return clips;
+}
+
+// How a copy relates to the one being kept (or, failing a direct match,
+// to whichever copy it matched)
+function relation(group, clip) {
+  const touches = (pair) => pair.a === clip || pair.b === clip;
+  return (
+    group.pairs.find(
+      (pair) =>
+        touches(pair) && (pair.a === group.keep || pair.b === group.keep)
+    ) || group.pairs.find(touches)
+  );
+}
+
+// The duplicate_of each catalog entry should have after this run: the
+// kept copy for entries with no clip kept, keyed by entry ID
+function duplicateVerdicts(groups) {
+  const verdicts = new Map();
+  for (const group of groups) {
+    const keep = group.keep.entry;
+    for (const clip of group.clips) {
+      if (clip.entry.id === keep.id) continue;
+      verdicts.set(clip.entry.id, {
+        id: keep.id,
+        filename: keep.filename,
+        kind: relation(group, clip).kind,
+        reason: group.reason,
+      });
+    }
+  }
+  return verdicts;
+}
+
+/**
+ * Writes the groups back to the catalog, whatever order the videos were
+ * processed in: copies not kept get duplicate_of and are re-rated as
+ * duplicate content, keeping the model's rating so it comes back if they
+ * stop being a duplicate (the better copy is deleted, say). Entries marked
+ * by older runs, whose model was told about the duplicate, have no rating
+ * of their own to go back to and are listed for re-rating instead.
+ */
+async function markDuplicates(catalog, groups) {
+  const verdicts = duplicateVerdicts(groups);
+  let marked = 0;
+  let cleared = 0;
+  const unrated = [];
+
+  for (const entry of catalog.entries()) {
+    const verdict = verdicts.get(entry.id) || null;
+    const current = entry.duplicate_of || null;
+    // The rating the entry has on its own: null when an older run rated it
+    // as a duplicate without keeping one
+    const own = current
+      ? entry.importance.before_duplicate || null
+      : { rating: entry.importance.rating, reason: entry.importance.reason };
+    if (
+      verdict
+        ? current &&
+          current.id === verdict.id &&
+          current.kind === verdict.kind &&
+          entry.importance.rating === DUPLICATE_RATING
+        : !current
+    ) {
+      continue;
+    }
+
+    if (verdict) {
+      await catalog.upsert({
+        ...entry,
+        duplicate_of: verdict,
+        importance: rateAsDuplicate(own, verdict),
+      });
+      marked++;
+    } else if (own) {
+      const { rating, reason } = own;
+      await catalog.upsert({
+        ...entry,
+        duplicate_of: null,
+        importance: { rating, reason },
+      });
+      cleared++;
+    } else {
+      unrated.push(entry);
+    }
+  }
+
+  if (marked + cleared > 0) {
+    await catalog.exportFiles();
+    console.error(
+      `🏷️  Catalog updated: ${marked} marked as duplicates, ${cleared} no longer duplicates`
+    );
+  }
+  if (unrated.length > 0) {
+    console.warn(
+      `⚠️  No longer duplicates, but rated while they were; re-rate them with convert.cjs --force=importance:\n${unrated
+        .map((entry) => `   ${entry.filename}`)
+        .join("\n")}`
+    );
+  }
+}
+
+function describeMatch(pair) {
+  if (pair.kind === "exact") return "exact copy";
+  const audio =
+    pair.audio_match === null
+      ? ""
+      : `, audio ${Math.round(pair.audio_match * 100)}%`;
+  return `${pair.kind}, frames ${Math.round(pair.frame_match * 100)}%${audio}`;
+}
+
+function printGroups(groups) {
+  groups.forEach((group, i) => {
+    console.log(`\n👯 Group ${i + 1} (keep: ${group.reason})`);
+    for (const clip of group.clips) {
+      const keep = clip === group.keep;
+      const video = clip.media && clip.media.video;
+      console.log(
+        [
+          keep ? "  ★ keep" : "    drop",
+          `${clip.entry.importance.rating}/9`,
+          `${Math.round(clip.duration)}s`,
+          (video ? video.resolution : "?").padEnd(5),
+          formatSize(clip.size).padStart(9),
+          clip.path,
+          keep ? "" : `(${describeMatch(relation(group, clip))})`,
+        ]
+          .join("  ")
+          .trimEnd()
+      );
+    }
+  });
+}
+
+async function findDuplicates(catalogDir, settings, format) {
+  // Everything but the report goes to stderr so paths and JSON can be piped
+  const catalog = await openCatalog(catalogDir, { log: console.error });
+  await hashMissing(catalog, catalogDir, settings);
+
+  const clips = await collectClips(catalog, catalogDir);
+  const groups = groupDuplicates(clips, settings);
+  await markDuplicates(catalog, groups);
+  // Report the ratings as they now stand
+  clips.forEach((clip) => (clip.entry = catalog.get(clip.entry.id)));
+  const extras = groups.flatMap((group) =>
+    group.clips.filter((clip) => clip !== group.keep)
+  );
+  const reclaimable = extras.reduce((sum, clip) => sum + clip.size, 0);
+
+  if (format === "json") {
+    console.log(
+      JSON.stringify(
+        groups.map((group) => ({
+          reason: group.reason,
+          clips: group.clips.map((clip) => {
+            const pair = clip === group.keep ? null : relation(group, clip);
+            return {
+              keep: clip === group.keep,
+              id: clip.id,
+              path: clip.path,
+              filename: clip.entry.filename,
+              importance: clip.entry.importance.rating,
+              duration_seconds: clip.duration,
+              size_bytes: clip.size,
+              match: pair && {
+                kind: pair.kind,
+                frame_match: pair.frame_match,
+                audio_match: pair.audio_match,
+              },
+            };
+          }),
+        })),
+        null,
+        2
+      )
+    );
+  } else if (format === "paths") {
+    extras.forEach((clip) => console.log(clip.path));
+  } else {
+    printGroups(groups);
+  }
+
+  console.error(
+    groups.length === 0
+      ? `\n✅ No duplicates among ${clips.length} videos`
+      : `\n💾 ${extras.length} duplicate files in ${
+          groups.length
+        } groups; removing them would free ${formatSize(reclaimable)}`
+  );
+}
+
+const args = process.argv.slice(2);
+const catalogDir = args[0];
+const configArg = args.find((arg) => arg.startsWith("--config="));
+const formatArg = args.find((arg) => arg.startsWith("--format="));
+const format = formatArg ? formatArg.split("=")[1] : "table";
+
+if (!catalogDir) {
+  console.log(
+    "Usage: node dedupe.cjs path/to/catalog/folder [--config=file] [--format=table|json|paths]"
+  );
+  process.exit(1);
+}
+
+let config;
+try {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `--format should be one of ${OUTPUT_FORMATS.join(", ")}, got "${format}"`
+    );
+  }
+  config = loadConfig(configArg ? configArg.split("=")[1] : undefined);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+if (!configureFfmpeg()) {
+  console.error("❌ Failed to configure FFmpeg. Exiting.");
+  process.exit(1);
+}
+
+findDuplicates(path.resolve(catalogDir), config.duplicates, format).catch(
+  (error) => {
+    console.error("\n❌ Fatal error:", error.message);
+    process.exit(1);
+  }
+);
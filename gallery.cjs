@@ -0,0 +1,164 @@
+const fs = require("fs-extra");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const { execSync } = require("child_process");
+const ffmpegStatic = require("ffmpeg-static");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { entryPath } = require("./lib/search.cjs");
+const {
+  relativeUrl,
+  renderIndexPage,
+  renderVideoPage,
+} = require("./lib/gallery.cjs");
+
+// Configure ffmpeg path
+function configureFfmpeg() {
+  try {
+    if (ffmpegStatic) {
+      ffmpeg.setFfmpegPath(ffmpegStatic);
+      ffmpeg.setFfprobePath(execSync("which ffprobe").toString().trim());
+    } else {
+      ffmpeg.setFfmpegPath(execSync("which ffmpeg").toString().trim());
+      ffmpeg.setFfprobePath(execSync("which ffprobe").toString().trim());
+    }
+    return true;
+  } catch (error) {
+    console.error("❌ Error configuring FFmpeg paths:", error.message);
+    console.error("💡 Make sure FFmpeg is installed: brew install ffmpeg");
+    return false;
+  }
+}
+
+// Page and poster names come from the video's file name, made safe for
+// any file system and unique within the gallery
+function uniqueSlug(entry, used) {
+  const base =
+    path
+      .basename(entry.filename, path.extname(entry.filename))
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "video";
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+  used.add(slug);
+  return slug;
+}
+
+// Grabs a 480px-wide poster frame at the moment the initial analysis
+// looked at (20% in for older entries)
+function grabPoster(videoPath, entry, posterPath) {
+  const time =
+    entry.poster_time !== undefined
+      ? entry.poster_time
+      : (entry.duration_seconds || 0) * 0.2;
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      .screenshots({
+        timestamps: [time],
+        filename: path.basename(posterPath),
+        folder: path.dirname(posterPath),
+        size: "480x?",
+      })
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+async function buildGallery(catalogDir, outDir, refreshPosters) {
+  // Only the output folder is written; the catalog is left as it is
+  const catalog = await openCatalog(catalogDir, { readOnly: true });
+  const entries = catalog
+    .entries()
+    .sort(
+      (a, b) =>
+        a.importance.rating - b.importance.rating ||
+        String(b.processed_at).localeCompare(String(a.processed_at))
+    );
+  console.log(`🖼️  Building gallery for ${entries.length} videos in ${outDir}`);
+
+  const pagesDir = path.join(outDir, "videos");
+  const postersDir = path.join(outDir, "posters");
+  await fs.ensureDir(pagesDir);
+  await fs.ensureDir(postersDir);
+
+  const used = new Set();
+  const items = [];
+  let missing = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const slug = uniqueSlug(entry, used);
+    const videoPath = entryPath(entry, catalogDir);
+    const posterPath = path.join(postersDir, `${slug}.jpg`);
+    const pagePath = path.join(pagesDir, `${slug}.html`);
+    const videoExists = await fs.pathExists(videoPath);
+    if (!videoExists) missing++;
+
+    // Posters are kept between runs; only new videos need a frame grabbed
+    if (videoExists && (refreshPosters || !(await fs.pathExists(posterPath)))) {
+      console.log(
+        `📸 Poster ${i + 1}/${entries.length}: ${path.basename(videoPath)}`
+      );
+      try {
+        await grabPoster(videoPath, entry, posterPath);
+      } catch (error) {
+        console.warn(
+          `⚠️  Could not grab a poster for ${entry.filename}: ${error.message}`
+        );
+      }
+    }
+    const hasPoster = await fs.pathExists(posterPath);
+
+    await fs.writeFile(
+      pagePath,
+      renderVideoPage(entry, {
+        indexUrl: "../index.html",
+        videoUrl: videoExists ? relativeUrl(pagesDir, videoPath) : null,
+        posterUrl: hasPoster ? relativeUrl(pagesDir, posterPath) : null,
+      })
+    );
+    items.push({
+      entry,
+      pageUrl: relativeUrl(outDir, pagePath),
+      posterUrl: hasPoster ? relativeUrl(outDir, posterPath) : null,
+    });
+  }
+
+  const indexPath = path.join(outDir, "index.html");
+  await fs.writeFile(
+    indexPath,
+    renderIndexPage(path.basename(path.resolve(catalogDir)), items)
+  );
+
+  if (missing > 0) {
+    console.warn(`⚠️  ${missing} videos in the catalog weren't found on disk`);
+  }
+  console.log(`\n✅ Gallery written: ${indexPath}`);
+}
+
+const args = process.argv.slice(2);
+const catalogDir = args[0];
+const outArg = args.find((arg) => arg.startsWith("--out="));
+const refreshPosters = args.includes("--refresh-posters");
+
+if (!catalogDir) {
+  console.log(
+    "Usage: node gallery.cjs path/to/catalog/folder [--out=dir] [--refresh-posters]"
+  );
+  process.exit(1);
+}
+
+if (!configureFfmpeg()) {
+  console.error("❌ Failed to configure FFmpeg. Exiting.");
+  process.exit(1);
+}
+
+buildGallery(
+  path.resolve(catalogDir),
+  path.resolve(
+    outArg ? outArg.split("=")[1] : path.join(catalogDir, "gallery")
+  ),
+  refreshPosters
+).catch((error) => {
+  console.error("\n❌ Fatal error:", error.message);
+  process.exit(1);
+});
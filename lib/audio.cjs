@@ -0,0 +1,164 @@
+const ffmpeg = require("fluent-ffmpeg");
+
+/**
+ * Extracts a small speech-friendly track: mono, 16 kHz, low bitrate mp3.
+ * An hour of audio comes out around 14 MB, well under the Whisper limit.
+ */
+function extractSpeechAudio(inputPath, audioPath, options = {}) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    if (options.start !== undefined) command.setStartTime(options.start);
+    if (options.duration !== undefined) command.setDuration(options.duration);
+
+    command
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioBitrate("32k")
+      .format("mp3")
+      .save(audioPath)
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+function probeDuration(mediaPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(mediaPath, (err, meta) => {
+      if (err) reject(err);
+      else resolve(meta.format.duration);
+    });
+  });
+}
+
+/**
+ * Runs ffmpeg's silencedetect filter and returns the quiet stretches as
+ * [{ start, end }] in seconds.
+ */
+function detectSilences(mediaPath, options = {}) {
+  const noise = options.noise || "-35dB";
+  const minDuration = options.minDuration || 0.4;
+
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let openStart = null;
+
+    ffmpeg(mediaPath)
+      .noVideo()
+      .audioFilters(`silencedetect=n=${noise}:d=${minDuration}`)
+      .format("null")
+      .output("-")
+      .on("stderr", (line) => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        if (startMatch) {
+          openStart = Math.max(0, parseFloat(startMatch[1]));
+        } else if (endMatch && openStart !== null) {
+          silences.push({ start: openStart, end: parseFloat(endMatch[1]) });
+          openStart = null;
+        }
+      })
+      .on("end", () => resolve(silences))
+      .on("error", reject)
+      .run();
+  });
+}
+
+/**
+ * Measures whether a video has any speech-like sound without sending it
+ * anywhere. The audio is band-passed to the voice range (300-3400 Hz),
+ * then silencedetect finds the quiet stretches and volumedetect the
+ * levels, in a single ffmpeg pass. Anything louder than `noise` for at
+ * least `minSpeechSeconds` in total counts as possible speech.
+ */
+function analyzeSpeech(mediaPath, duration, options = {}) {
+  const noise = options.noise || "-35dB";
+  const minSpeechSeconds =
+    options.minSpeechSeconds !== undefined ? options.minSpeechSeconds : 1;
+
+  return new Promise((resolve, reject) => {
+    let silentSeconds = 0;
+    let openStart = null;
+    let meanVolume = null;
+    let maxVolume = null;
+
+    ffmpeg(mediaPath)
+      .noVideo()
+      .audioFilters([
+        "highpass=f=300",
+        "lowpass=f=3400",
+        `silencedetect=n=${noise}:d=0.5`,
+        "volumedetect",
+      ])
+      .format("null")
+      .output("-")
+      .on("stderr", (line) => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        const meanMatch = line.match(/mean_volume: (-?[\d.]+) dB/);
+        const maxMatch = line.match(/max_volume: (-?[\d.]+) dB/);
+        if (startMatch) {
+          openStart = Math.max(0, parseFloat(startMatch[1]));
+        } else if (endMatch && openStart !== null) {
+          silentSeconds += parseFloat(endMatch[1]) - openStart;
+          openStart = null;
+        }
+        if (meanMatch) meanVolume = parseFloat(meanMatch[1]);
+        if (maxMatch) maxVolume = parseFloat(maxMatch[1]);
+      })
+      .on("end", () => {
+        // A silence still open at the end runs to the end of the clip
+        if (openStart !== null) silentSeconds += duration - openStart;
+        const activeSeconds = Math.max(0, duration - silentSeconds);
+        resolve({
+          hasAudio: true,
+          meanVolume,
+          maxVolume,
+          activeSeconds: Number(activeSeconds.toFixed(1)),
+          activeRatio: duration
+            ? Number((activeSeconds / duration).toFixed(2))
+            : 0,
+          hasSpeech: activeSeconds >= minSpeechSeconds,
+        });
+      })
+      .on("error", reject)
+      .run();
+  });
+}
+
+/**
+ * Splits [0, duration] into chunks of at most `maxSeconds`, cutting in the
+ * middle of a silence where one falls in the back half of a chunk. Each
+ * chunk after the first starts `overlapSeconds` early so words on a hard
+ * cut still land whole in one of the two chunks.
+ */
+function planChunks(duration, silences, maxSeconds, overlapSeconds) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < duration) {
+    const limit = start + maxSeconds;
+    if (limit >= duration) {
+      chunks.push({ start, end: duration });
+      break;
+    }
+
+    const cutPoints = silences
+      .map((silence) => (silence.start + silence.end) / 2)
+      .filter((point) => point > start + maxSeconds / 2 && point <= limit);
+    const end = cutPoints.length > 0 ? Math.max(...cutPoints) : limit;
+
+    chunks.push({ start, end });
+    start = Math.max(start + 1, end - overlapSeconds);
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  extractSpeechAudio,
+  probeDuration,
+  detectSilences,
+  analyzeSpeech,
+  planChunks,
+};
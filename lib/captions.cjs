@@ -0,0 +1,66 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const CAPTION_FORMATS = ["srt", "vtt"];
+
+// 83.5 -> "00:01:23,500" (SRT) or "00:01:23.500" (WebVTT)
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function toSrt(segments) {
+  return segments
+    .map(
+      (segment, i) =>
+        `${i + 1}\n${formatTimestamp(segment.start, ",")} --> ${formatTimestamp(
+          segment.end,
+          ","
+        )}\n${segment.text.trim()}\n`
+    )
+    .join("\n");
+}
+
+function toVtt(segments) {
+  const cues = segments
+    .map(
+      (segment) =>
+        `${formatTimestamp(segment.start, ".")} --> ${formatTimestamp(
+          segment.end,
+          "."
+        )}\n${segment.text.trim()}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${cues}`;
+}
+
+/**
+ * Writes caption sidecars (e.g. clip.srt, clip.vtt) next to a video so
+ * players pick them up automatically. Returns the paths written.
+ */
+async function writeCaptionSidecars(videoPath, segments, formats) {
+  if (!segments || segments.length === 0) return [];
+
+  const { dir, name } = path.parse(videoPath);
+  const written = [];
+  for (const format of formats) {
+    const captionPath = path.join(dir, `${name}.${format}`);
+    const content = format === "srt" ? toSrt(segments) : toVtt(segments);
+    await fs.writeFile(captionPath, content);
+    written.push(captionPath);
+  }
+  return written;
+}
+
+module.exports = {
+  CAPTION_FORMATS,
+  formatTimestamp,
+  toSrt,
+  toVtt,
+  writeCaptionSidecars,
+};
@@ -0,0 +1,215 @@
+const fs = require("fs-extra");
+
+// How a camera's UTC creation_time is turned into local time when the
+// file doesn't say which time zone it was filmed in
+const DEFAULT_CAPTURE_DATE = {
+  // IANA zone, e.g. "Europe/London"; null uses this machine's zone
+  timezone: null,
+  // Some cameras (GoPro and others) write local wall-clock time into
+  // creation_time and label it UTC
+  creation_time_is_local: false,
+};
+
+// Date and time in file names from phones, cameras and screen recorders,
+// e.g. IMG_20240714_153012.MOV, PXL_20240714_153012345.mp4,
+// 2024-07-14 15.30.12.mov, Screen Recording 2024-07-14 at 15.30.12.mov
+const FILENAME_PATTERNS = [
+  /(?:^|\D)(\d{4})(\d{2})(\d{2})[_-](\d{2})(\d{2})(\d{2})(?:\d{3})?(?!\d)/,
+  /(\d{4})-(\d{2})-(\d{2})(?:[ _T]|\sat\s)(\d{2})[.:-](\d{2})[.:-](\d{2})/,
+  // Date only, e.g. WhatsApp's VID-20240714-WA0001.mp4 or IMG_20240714.mov.
+  // Only whole names from known cameras and apps, as any other run of eight
+  // digits (an invoice number, "2_birthday-20240101") is too easily a date
+  /^(?:VID|IMG|PXL)[_-](\d{4})(\d{2})(\d{2})(?:-WA\d+)?\.\w+$/i,
+];
+
+// Digits only count as a date in a plausible range, from when phones
+// started naming files by date until next year
+const FILENAME_FIRST_YEAR = 2000;
+
+function validateCaptureDate(settings) {
+  const errors = [];
+  if (settings.timezone !== null) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: settings.timezone });
+    } catch {
+      errors.push("capture_date.timezone must be an IANA time zone name");
+    }
+  }
+  if (typeof settings.creation_time_is_local !== "boolean") {
+    errors.push("capture_date.creation_time_is_local must be true or false");
+  }
+  return errors;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Wall-clock time of an instant in a zone, "2024-07-14T15:30:12"
+function wallClock(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+function wallClockAsUtc(local) {
+  return Date.parse(`${local}Z`);
+}
+
+// Minutes a zone is ahead of UTC at an instant (DST-aware)
+function zoneOffset(date, timeZone) {
+  const whole = new Date(Math.floor(date.getTime() / 1000) * 1000);
+  return Math.round(
+    (wallClockAsUtc(wallClock(whole, timeZone)) - whole.getTime()) / 60000
+  );
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+function fromInstant(date, timeZone, source) {
+  const local = wallClock(date, timeZone);
+  return {
+    captured_at: `${local}${formatOffset(zoneOffset(date, timeZone))}`,
+    local,
+    source,
+  };
+}
+
+// Wall-clock time in a zone -> the same, with the zone's offset at the time
+function fromWallClock(local, timeZone, source) {
+  const guess = wallClockAsUtc(local);
+  let offset = zoneOffset(new Date(guess), timeZone);
+  offset = zoneOffset(new Date(guess - offset * 60000), timeZone);
+  return { captured_at: `${local}${formatOffset(offset)}`, local, source };
+}
+
+// "2024-07-14T15:30:12+0200" -> { local, offset } (offset null without one)
+function parseTimestamp(value) {
+  const match =
+    /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(
+      String(value || "").trim()
+    );
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, zone] = match;
+  const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  // Cameras whose clock was never set write the 1970 (or 1904) epoch
+  if (Number.isNaN(wallClockAsUtc(local)) || Number(year) <= 1970) return null;
+
+  let offset = null;
+  if (zone === "Z") {
+    offset = 0;
+  } else if (zone) {
+    const digits = zone.replace(":", "");
+    const minutes =
+      Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5));
+    offset = digits[0] === "-" ? -minutes : minutes;
+  }
+  return { local, offset };
+}
+
+// A tag's value from the container or, failing that, any of its streams
+function findTag(probe, name) {
+  const sources = [
+    (probe.format || {}).tags,
+    ...(probe.streams || []).map((stream) => stream.tags),
+  ];
+  for (const tags of sources) {
+    if (tags && tags[name]) return tags[name];
+  }
+  return null;
+}
+
+function fromFilename(fileName, timeZone) {
+  for (const pattern of FILENAME_PATTERNS) {
+    const match = pattern.exec(fileName);
+    if (!match) continue;
+    const [, year, month, day, hour = "00", minute = "00", second = "00"] =
+      match;
+    const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    const parsed = parseTimestamp(local);
+    const plausible =
+      Number(year) >= FILENAME_FIRST_YEAR &&
+      Number(year) <= new Date().getFullYear() + 1 &&
+      Number(month) >= 1 &&
+      Number(month) <= 12 &&
+      Number(day) >= 1 &&
+      Number(day) <= 31 &&
+      Number(hour) < 24 &&
+      Number(minute) < 60 &&
+      Number(second) < 60;
+    if (!parsed || !plausible) continue;
+    return fromWallClock(local, timeZone, "filename");
+  }
+  return null;
+}
+
+/**
+ * Works out when a clip was filmed, trying in order:
+ *   1. com.apple.quicktime.creationdate, which iPhones write as local time
+ *      with its UTC offset
+ *   2. creation_time, which is UTC (or local time, for cameras configured
+ *      with creation_time_is_local)
+ *   3. a date and time in the original file name
+ *   4. the file's modification time
+ * Times without a known offset are placed in the configured time zone.
+ *
+ * Returns { captured_at: "2024-07-14T15:30:12+02:00", local:
+ * "2024-07-14T15:30:12", source }.
+ */
+async function readCaptureDate(videoPath, probe, originalName, settings) {
+  const timeZone =
+    settings.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  const appleDate = parseTimestamp(
+    findTag(probe, "com.apple.quicktime.creationdate")
+  );
+  if (appleDate) {
+    return appleDate.offset === null
+      ? fromWallClock(appleDate.local, timeZone, "quicktime")
+      : {
+          captured_at: `${appleDate.local}${formatOffset(appleDate.offset)}`,
+          local: appleDate.local,
+          source: "quicktime",
+        };
+  }
+
+  const creationTime = parseTimestamp(findTag(probe, "creation_time"));
+  if (creationTime) {
+    if (settings.creation_time_is_local) {
+      return fromWallClock(creationTime.local, timeZone, "creation_time");
+    }
+    const utc = wallClockAsUtc(creationTime.local);
+    return fromInstant(
+      new Date(utc - (creationTime.offset || 0) * 60000),
+      timeZone,
+      "creation_time"
+    );
+  }
+
+  const fromName = fromFilename(originalName, timeZone);
+  if (fromName) return fromName;
+
+  return fromInstant((await fs.stat(videoPath)).mtime, timeZone, "mtime");
+}
+
+module.exports = {
+  DEFAULT_CAPTURE_DATE,
+  validateCaptureDate,
+  parseTimestamp,
+  readCaptureDate,
+  findTag,
+};
@@ -0,0 +1,283 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { createLimiter } = require("./pool.cjs");
+
+const CATALOG_JSON = "summaries_and_transcripts.json";
+const CATALOG_TXT = "summaries_and_transcripts.txt";
+const CATALOG_LOG = path.join(".dusty", "catalog.jsonl");
+
+/**
+ * Reads a JSON catalog export. Older runs could leave the file as
+ * comma-separated objects without the surrounding brackets, so that form
+ * is accepted too.
+ */
+async function readCatalog(targetDir) {
+  const jsonPath = path.join(targetDir, CATALOG_JSON);
+  try {
+    if (await fs.pathExists(jsonPath)) {
+      const content = await fs.readFile(jsonPath, "utf8");
+      if (content.trim()) {
+        return JSON.parse(
+          content.endsWith(",\n") ? `[${content.slice(0, -2)}]` : content
+        );
+      }
+    }
+  } catch (error) {
+    console.warn("Warning: Could not read existing JSON file, starting fresh");
+  }
+  return [];
+}
+
+// Entries are keyed by content fingerprint; ones from before fingerprints
+// were recorded fall back to their file name
+function entryId(entry) {
+  return entry.id || entry.fingerprint || `legacy:${entry.filename}`;
+}
+
+function formatTextEntry(entry) {
+  return `File: ${entry.path || entry.filename}
+Duration: ${entry.duration_seconds.toFixed(1)} seconds
+Importance: ${entry.importance.rating}/9 - ${entry.importance.reason}
+
+Description:
+${entry.description}
+
+${
+  entry.additional_descriptions.length > 0
+    ? `Additional scenes:\n${entry.additional_descriptions.join("\n")}\n\n`
+    : ""
+}${entry.transcript ? `Transcript:\n${entry.transcript}\n\n` : ""}${"-".repeat(
+    80
+  )}\n\n`;
+}
+
+// Write to a temp file, flush it to disk, then rename over the target so
+// readers only ever see the old file or the complete new one
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  const handle = await fs.promises.open(tempPath, "w");
+  try {
+    await handle.writeFile(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Opens the catalog store for a folder: an append-only JSONL log at
+ * .dusty/catalog.jsonl where each line upserts or removes one entry by
+ * video ID. Appends are flushed to disk before returning, so a crash loses
+ * at most the line being written, and that torn line is ignored on load.
+ * The log is compacted once it holds mostly superseded lines.
+ *
+ * The JSON and TXT catalogs are exports regenerated from the store. A
+ * folder that only has the old JSON catalog is imported on first open.
+ * Progress goes to `log`, so commands that print results can keep stdout
+ * clean.
+ *
+ * With `readOnly` nothing in the folder is touched: the old JSON catalog is
+ * read without being imported, a torn line is skipped without compacting,
+ * and the write methods throw. Commands that only read, like search and
+ * gallery, open it that way.
+ */
+async function openCatalog(
+  catalogDir,
+  { log = console.log, readOnly = false } = {}
+) {
+  const logPath = path.join(catalogDir, CATALOG_LOG);
+  const limit = createLimiter(1);
+  const writeLimit = (task) =>
+    readOnly
+      ? Promise.reject(new Error(`Catalog in ${catalogDir} is read-only`))
+      : limit(task);
+  const entries = new Map();
+  const byFingerprint = new Map();
+  const byName = new Map();
+  let logLines = 0;
+
+  function indexEntry(entry) {
+    if (entry.fingerprint) byFingerprint.set(entry.fingerprint, entry);
+    if (entry.filename) byName.set(entry.filename, entry);
+  }
+
+  function unindexEntry(entry) {
+    if (byFingerprint.get(entry.fingerprint) === entry) {
+      byFingerprint.delete(entry.fingerprint);
+    }
+    if (byName.get(entry.filename) === entry) byName.delete(entry.filename);
+  }
+
+  function apply(record) {
+    const existing = entries.get(record.id);
+    if (existing) unindexEntry(existing);
+    if (record.op === "upsert") {
+      entries.set(record.id, record.entry);
+      indexEntry(record.entry);
+    } else if (record.op === "remove") {
+      entries.delete(record.id);
+    }
+  }
+
+  async function appendRecords(records) {
+    await fs.ensureDir(path.dirname(logPath));
+    const handle = await fs.promises.open(logPath, "a");
+    try {
+      await handle.appendFile(
+        records.map((record) => `${JSON.stringify(record)}\n`).join("")
+      );
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    logLines += records.length;
+  }
+
+  async function compact() {
+    const lines = [...entries].map(([id, entry]) =>
+      JSON.stringify({ op: "upsert", id, entry })
+    );
+    await fs.ensureDir(path.dirname(logPath));
+    await writeFileAtomic(logPath, lines.length ? `${lines.join("\n")}\n` : "");
+    logLines = lines.length;
+  }
+
+  if (await fs.pathExists(logPath)) {
+    const lines = (await fs.readFile(logPath, "utf8")).split("\n");
+    let unreadable = 0;
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        apply(JSON.parse(line));
+        logLines++;
+      } catch (error) {
+        unreadable++;
+        console.warn(
+          `⚠️  Ignoring unreadable catalog line ${i + 1} in ${logPath}`
+        );
+      }
+    });
+    // Rewrite without the torn line so the next append starts cleanly
+    if (unreadable > 0 && !readOnly) await compact();
+  } else {
+    const legacyEntries = await readCatalog(catalogDir);
+    if (legacyEntries.length > 0) {
+      if (!readOnly) {
+        log(
+          `📥 Importing ${legacyEntries.length} entries from ${CATALOG_JSON}`
+        );
+      }
+      for (const entry of legacyEntries) {
+        const id = entryId(entry);
+        apply({ op: "upsert", id, entry: { ...entry, id } });
+      }
+      if (!readOnly) await compact();
+    }
+  }
+
+  const store = {
+    path: logPath,
+
+    entries() {
+      return [...entries.values()];
+    },
+
+    get(id) {
+      return entries.get(id);
+    },
+
+    /**
+     * Looks a video up by content fingerprint, or by file name for entries
+     * from before fingerprints. Returns { id, entry, reason } explaining
+     * the match, or null when the video hasn't been summarised yet.
+     */
+    findProcessed({ fingerprint, filePath }) {
+      const match = fingerprint && byFingerprint.get(fingerprint);
+      if (match) {
+        const sameName = match.filename === path.basename(filePath);
+        return {
+          id: entryId(match),
+          entry: match,
+          reason: sameName
+            ? "content fingerprint matches its catalog entry"
+            : `content fingerprint matches ${match.filename} (renamed, moved or copied)`,
+        };
+      }
+
+      const legacy = byName.get(path.basename(filePath));
+      if (legacy && !legacy.fingerprint) {
+        return {
+          id: entryId(legacy),
+          entry: legacy,
+          reason:
+            "file name matches an older catalog entry without a fingerprint",
+        };
+      }
+
+      return null;
+    },
+
+    /**
+     * Inserts or replaces an entry by its video ID. `replaces` lists IDs of
+     * entries for the same video under another ID (e.g. a legacy entry)
+     * that should go in the same write.
+     */
+    upsert(entry, replaces = []) {
+      return writeLimit(async () => {
+        const id = entryId(entry);
+        const stored = { ...entry, id };
+        const records = replaces
+          .filter((oldId) => oldId !== id && entries.has(oldId))
+          .map((oldId) => ({ op: "remove", id: oldId }));
+        records.push({ op: "upsert", id, entry: stored });
+
+        await appendRecords(records);
+        records.forEach(apply);
+        if (logLines > 2 * entries.size + 50) await compact();
+        return stored;
+      });
+    },
+
+    remove(id) {
+      return writeLimit(async () => {
+        if (!entries.has(id)) return;
+        const record = { op: "remove", id };
+        await appendRecords([record]);
+        apply(record);
+      });
+    },
+
+    compact() {
+      return writeLimit(compact);
+    },
+
+    /**
+     * Regenerates summaries_and_transcripts.json and .txt from the store
+     */
+    exportFiles() {
+      return writeLimit(async () => {
+        const all = [...entries.values()];
+        await writeFileAtomic(
+          path.join(catalogDir, CATALOG_JSON),
+          JSON.stringify(all, null, 2)
+        );
+        await writeFileAtomic(
+          path.join(catalogDir, CATALOG_TXT),
+          all.map(formatTextEntry).join("")
+        );
+      });
+    },
+  };
+
+  return store;
+}
+
+module.exports = {
+  CATALOG_JSON,
+  CATALOG_TXT,
+  readCatalog,
+  openCatalog,
+  entryId,
+  writeFileAtomic,
+};
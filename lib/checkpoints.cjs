@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+const { createLimiter } = require("./pool.cjs");
+
+// Pipeline stages in the order they run
+const STAGES = [
+  "probe",
+  "similarity",
+  "scenes",
+  "speech",
+  "initial",
+  "transcript",
+  "frames",
+  "importance",
+  "name",
+];
+
+// Byte-identical files processed side by side share a checkpoint file, so
+// writes to each file take turns across jobs, through temp files of their own
+const writeLimits = new Map();
+let tempCount = 0;
+
+// Which stages consume each stage's output
+const DEPENDENTS = {
+  probe: [
+    "similarity",
+    "scenes",
+    "speech",
+    "initial",
+    "transcript",
+    "frames",
+    "importance",
+    "name",
+  ],
+  similarity: ["importance"],
+  scenes: ["initial", "frames", "importance"],
+  speech: ["transcript", "importance"],
+  initial: ["transcript", "frames", "importance", "name"],
+  transcript: ["importance"],
+  frames: ["importance"],
+  importance: ["name"],
+  name: [],
+};
+
+/**
+ * Expands a list of stages to rerun with everything downstream of them,
+ * since a fresh transcript makes the old importance rating stale.
+ */
+function expandForcedStages(stages) {
+  const unknown = stages.filter((stage) => !STAGES.includes(stage));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown stage(s) for --force: ${unknown.join(
+        ", "
+      )} (expected ${STAGES.join(", ")})`
+    );
+  }
+
+  const forced = new Set();
+  const visit = (stage) => {
+    if (forced.has(stage)) return;
+    forced.add(stage);
+    DEPENDENTS[stage].forEach(visit);
+  };
+  stages.forEach(visit);
+  return forced;
+}
+
+function checkpointDir(targetDir) {
+  return path.join(targetDir, ".dusty", "checkpoints");
+}
+
+// Short hash of the settings and prompt context a stage's result depends on
+function hashInputs(inputs) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(inputs))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Opens (or starts) the checkpoint for one video, keyed by its content
+ * hash so a renamed or moved file still finds its saved work. Stage keys
+ * may have a sub-key, e.g. "frames.2", which is forced along with "frames".
+ * Each result is saved with a hash of the inputs it was made from (models,
+ * thresholds, prompt context); a result made from other inputs is redone,
+ * and so is everything downstream of a stage that was redone.
+ */
+async function openCheckpoint(targetDir, fileHash, forcedStages = new Set()) {
+  const filePath = path.join(checkpointDir(targetDir), `${fileHash}.json`);
+  if (!writeLimits.has(filePath)) writeLimits.set(filePath, createLimiter(1));
+  const writeLimit = writeLimits.get(filePath);
+  const stale = new Set();
+  let data = { file_hash: fileHash, stages: {}, inputs: {} };
+
+  try {
+    if (await fs.pathExists(filePath)) {
+      data = { inputs: {}, ...(await fs.readJson(filePath)) };
+    }
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable checkpoint ${filePath}`);
+  }
+
+  function isForced(key) {
+    const stage = key.split(".")[0];
+    return forcedStages.has(stage) || stale.has(stage);
+  }
+
+  function has(key, inputs = {}) {
+    return (
+      !isForced(key) &&
+      Object.hasOwn(data.stages, key) &&
+      data.inputs[key] === hashInputs(inputs)
+    );
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a file
+  function save(key, value, inputs = {}) {
+    data.stages[key] = value;
+    data.inputs[key] = hashInputs(inputs);
+    data.updated_at = new Date().toISOString();
+    return writeLimit(async () => {
+      await fs.ensureDir(path.dirname(filePath));
+      const tempPath = `${filePath}.${process.pid}-${++tempCount}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, filePath);
+    });
+  }
+
+  async function run(key, task, inputs = {}) {
+    if (has(key, inputs)) {
+      console.log(`♻️  Reusing checkpointed ${key}`);
+      return data.stages[key];
+    }
+    // Stages that use this one's output can't reuse theirs any more
+    expandForcedStages([key.split(".")[0]]).forEach((stage) => {
+      if (stage !== key.split(".")[0]) stale.add(stage);
+    });
+    const value = await task();
+    await save(key, value, inputs);
+    return value;
+  }
+
+  return { fileHash, filePath, has, run, save };
+}
+
+module.exports = { STAGES, expandForcedStages, openCheckpoint };
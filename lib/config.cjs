@@ -0,0 +1,433 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { CAPTION_FORMATS } = require("./captions.cjs");
+const { WRITERS, defaultWriterNames } = require("./metadata/index.cjs");
+const { CONTACT_SHEET_LOCATIONS } = require("./sidecars.cjs");
+const { DEFAULT_FILENAMES, validateFilenames } = require("./filename.cjs");
+const {
+  DEFAULT_CAPTURE_DATE,
+  validateCaptureDate,
+} = require("./capture-date.cjs");
+const { DEFAULT_LOCATION, validateLocation } = require("./location.cjs");
+const { DEFAULT_DUPLICATES, validateDuplicates } = require("./duplicates.cjs");
+const { DEFAULT_RETENTION, validateRetention } = require("./retention.cjs");
+
+const DEFAULT_CONFIG_FILE = "dusty.config.json";
+
+// Settings each pipeline stage uses when the config file doesn't override them
+const DEFAULT_STAGES = {
+  "initial-analysis": { model: "gpt-4o", max_tokens: 500 },
+  "frame-description": { model: "gpt-4o", max_tokens: 100 },
+  transcription: { model: "whisper-1" },
+  importance: { model: "gpt-4-turbo-preview", max_tokens: 500 },
+  // Temperature 0 so reprocessing a clip with --force comes up with the
+  // same slug, and so the same file name, again
+  "short-name": {
+    model: "gpt-4-turbo-preview",
+    max_tokens: 50,
+    temperature: 0,
+  },
+  summary: { model: "gpt-4-turbo-preview", max_tokens: 300 },
+};
+
+// jobs: videos in flight, api: concurrent model requests,
+// local: concurrent ffmpeg / local model processes
+const DEFAULT_CONCURRENCY = { jobs: 1, api: 4, local: 2 };
+
+// "uniform" spaces keyframes evenly; "scene" prefers the biggest scene
+// changes (scores run 0-1) and tops up with even spacing
+const KEYFRAME_MODES = ["uniform", "scene"];
+const DEFAULT_KEYFRAMES = { mode: "uniform", scene_threshold: 0.3 };
+
+// Frames failing any of these are swapped for a nearby frame before upload
+const DEFAULT_FRAME_QUALITY = {
+  enabled: true,
+  min_sharpness: 40,
+  min_brightness: 25,
+  max_brightness: 235,
+  min_entropy: 3,
+};
+
+// Decides locally whether a clip is worth transcribing
+const DEFAULT_SPEECH_DETECTION = {
+  enabled: true,
+  noise_db: -35,
+  min_speech_seconds: 1,
+};
+
+// Keyframe grid saved as a PNG per video; off unless asked for
+const DEFAULT_CONTACT_SHEET = {
+  enabled: false,
+  location: "thumbnails",
+  columns: 4,
+  cell_width: 320,
+};
+
+const STAGE_KEYS = ["model", "temperature", "max_tokens", "base_url"];
+
+// "provider" sends audio to the AI provider; the others run locally
+const TRANSCRIPTION_BACKENDS = ["provider", "whisper-cpp", "faster-whisper"];
+
+// Long recordings are transcribed in chunks of at most chunk_seconds
+const DEFAULT_TRANSCRIPTION = {
+  backend: "provider",
+  chunk_seconds: 600,
+  chunk_overlap_seconds: 2,
+};
+
+function validateStage(stage, settings) {
+  const errors = [];
+  const where = `stages.${stage}`;
+
+  for (const key of Object.keys(settings)) {
+    if (!STAGE_KEYS.includes(key)) {
+      errors.push(
+        `${where}.${key} is not a known setting (expected ${STAGE_KEYS.join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  if (typeof settings.model !== "string" || !settings.model.trim()) {
+    errors.push(`${where}.model must be a non-empty string`);
+  }
+  if (
+    settings.temperature !== undefined &&
+    (typeof settings.temperature !== "number" ||
+      settings.temperature < 0 ||
+      settings.temperature > 2)
+  ) {
+    errors.push(`${where}.temperature must be a number between 0 and 2`);
+  }
+  if (
+    settings.max_tokens !== undefined &&
+    (!Number.isInteger(settings.max_tokens) || settings.max_tokens < 1)
+  ) {
+    errors.push(`${where}.max_tokens must be a positive integer`);
+  }
+  if (settings.base_url !== undefined) {
+    try {
+      new URL(settings.base_url);
+    } catch {
+      errors.push(`${where}.base_url must be a valid URL`);
+    }
+  }
+
+  return errors;
+}
+
+function validateTranscription(settings) {
+  const errors = [];
+
+  if (!TRANSCRIPTION_BACKENDS.includes(settings.backend)) {
+    errors.push(
+      `transcription.backend must be one of ${TRANSCRIPTION_BACKENDS.join(
+        ", "
+      )}`
+    );
+  }
+  if (
+    settings.threads !== undefined &&
+    (!Number.isInteger(settings.threads) || settings.threads < 1)
+  ) {
+    errors.push("transcription.threads must be a positive integer");
+  }
+  for (const key of ["model_path", "binary", "language", "model"]) {
+    if (settings[key] !== undefined && typeof settings[key] !== "string") {
+      errors.push(`transcription.${key} must be a string`);
+    }
+  }
+  for (const key of ["chunk_seconds", "chunk_overlap_seconds"]) {
+    if (typeof settings[key] !== "number" || settings[key] < 0) {
+      errors.push(`transcription.${key} must be a non-negative number`);
+    }
+  }
+  if (settings.chunk_seconds < 30) {
+    errors.push("transcription.chunk_seconds must be at least 30");
+  }
+  if (settings.chunk_overlap_seconds >= settings.chunk_seconds / 2) {
+    errors.push(
+      "transcription.chunk_overlap_seconds must be less than half of chunk_seconds"
+    );
+  }
+  if (settings.backend === "whisper-cpp" && !settings.model_path) {
+    errors.push("transcription.model_path is required for whisper-cpp");
+  }
+
+  return errors;
+}
+
+function validateConfig(config) {
+  const errors = [];
+
+  if (typeof config.provider !== "string" || !config.provider) {
+    errors.push("provider must be a non-empty string");
+  }
+
+  for (const stage of Object.keys(config.stages)) {
+    if (!DEFAULT_STAGES[stage]) {
+      errors.push(
+        `stages.${stage} is not a pipeline stage (expected ${Object.keys(
+          DEFAULT_STAGES
+        ).join(", ")})`
+      );
+      continue;
+    }
+    errors.push(...validateStage(stage, config.stages[stage]));
+  }
+
+  errors.push(...validateTranscription(config.transcription));
+
+  if (!KEYFRAME_MODES.includes(config.keyframes.mode)) {
+    errors.push(`keyframes.mode must be one of ${KEYFRAME_MODES.join(", ")}`);
+  }
+  const threshold = config.keyframes.scene_threshold;
+  if (typeof threshold !== "number" || threshold <= 0 || threshold > 1) {
+    errors.push("keyframes.scene_threshold must be a number between 0 and 1");
+  }
+
+  if (typeof config.frame_quality.enabled !== "boolean") {
+    errors.push("frame_quality.enabled must be true or false");
+  }
+  for (const key of Object.keys(DEFAULT_FRAME_QUALITY)) {
+    if (key === "enabled") continue;
+    if (typeof config.frame_quality[key] !== "number") {
+      errors.push(`frame_quality.${key} must be a number`);
+    }
+  }
+
+  const speech = config.speech_detection;
+  if (typeof speech.enabled !== "boolean") {
+    errors.push("speech_detection.enabled must be true or false");
+  }
+  if (typeof speech.noise_db !== "number" || speech.noise_db >= 0) {
+    errors.push("speech_detection.noise_db must be a negative number");
+  }
+  if (
+    typeof speech.min_speech_seconds !== "number" ||
+    speech.min_speech_seconds < 0
+  ) {
+    errors.push("speech_detection.min_speech_seconds must be 0 or more");
+  }
+
+  const writers = config.metadata.writers;
+  if (
+    !Array.isArray(writers) ||
+    writers.some((name) => !Object.hasOwn(WRITERS, name))
+  ) {
+    errors.push(
+      `metadata.writers must be a list of writers (${Object.keys(WRITERS).join(
+        ", "
+      )})`
+    );
+  }
+
+  errors.push(...validateFilenames(config.filenames));
+  errors.push(...validateCaptureDate(config.capture_date));
+  errors.push(...validateLocation(config.location));
+  errors.push(...validateDuplicates(config.duplicates));
+  errors.push(...validateRetention(config.retention));
+
+  const sheet = config.contact_sheet;
+  if (typeof sheet.enabled !== "boolean") {
+    errors.push("contact_sheet.enabled must be true or false");
+  }
+  if (!CONTACT_SHEET_LOCATIONS.includes(sheet.location)) {
+    errors.push(
+      `contact_sheet.location must be one of ${CONTACT_SHEET_LOCATIONS.join(
+        ", "
+      )}`
+    );
+  }
+  for (const key of ["columns", "cell_width"]) {
+    if (!Number.isInteger(sheet[key]) || sheet[key] < 1) {
+      errors.push(`contact_sheet.${key} must be a positive integer`);
+    }
+  }
+
+  for (const key of Object.keys(DEFAULT_CONCURRENCY)) {
+    const value = config.concurrency[key];
+    if (!Number.isInteger(value) || value < 1) {
+      errors.push(`concurrency.${key} must be a positive integer`);
+    }
+  }
+
+  if (
+    !Array.isArray(config.captions) ||
+    config.captions.some((format) => !CAPTION_FORMATS.includes(format))
+  ) {
+    errors.push(
+      `captions must be a list of caption formats (${CAPTION_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Loads the run configuration, layering CLI overrides over the optional JSON
+ * config file over the built-in defaults. Throws with every validation problem at once so a
+ * bad config is caught before any video is touched.
+ */
+function loadConfig(configPath, overrides = {}) {
+  const filePath = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+  let fileConfig = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not parse config ${filePath}: ${error.message}`);
+    }
+  } else if (configPath) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const stages = {};
+  for (const [stage, defaults] of Object.entries(DEFAULT_STAGES)) {
+    stages[stage] = { ...defaults, ...(fileConfig.stages || {})[stage] };
+  }
+  // Keep unknown stages around so validation can complain about them
+  for (const stage of Object.keys(fileConfig.stages || {})) {
+    if (!stages[stage]) stages[stage] = fileConfig.stages[stage];
+  }
+
+  const config = {
+    ...fileConfig,
+    source: fs.existsSync(filePath) ? filePath : null,
+    provider: overrides.provider || fileConfig.provider || "openai",
+    stages,
+    transcription: {
+      ...DEFAULT_TRANSCRIPTION,
+      ...fileConfig.transcription,
+      ...(overrides.transcriber ? { backend: overrides.transcriber } : {}),
+    },
+    captions: overrides.captions || fileConfig.captions || [],
+    concurrency: {
+      ...DEFAULT_CONCURRENCY,
+      ...fileConfig.concurrency,
+      ...(overrides.jobs !== undefined ? { jobs: overrides.jobs } : {}),
+    },
+    keyframes: {
+      ...DEFAULT_KEYFRAMES,
+      ...fileConfig.keyframes,
+      ...(overrides.keyframes ? { mode: overrides.keyframes } : {}),
+    },
+    frame_quality: { ...DEFAULT_FRAME_QUALITY, ...fileConfig.frame_quality },
+    speech_detection: {
+      ...DEFAULT_SPEECH_DETECTION,
+      ...fileConfig.speech_detection,
+    },
+    capture_date: { ...DEFAULT_CAPTURE_DATE, ...fileConfig.capture_date },
+    location: { ...DEFAULT_LOCATION, ...fileConfig.location },
+    duplicates: { ...DEFAULT_DUPLICATES, ...fileConfig.duplicates },
+    retention: {
+      ...DEFAULT_RETENTION,
+      ...fileConfig.retention,
+      ...overrides.retention,
+    },
+    filenames: {
+      ...DEFAULT_FILENAMES,
+      ...fileConfig.filenames,
+      ...(overrides.filenameTemplate
+        ? { template: overrides.filenameTemplate }
+        : {}),
+    },
+    contact_sheet: {
+      ...DEFAULT_CONTACT_SHEET,
+      ...fileConfig.contact_sheet,
+      ...(overrides.contactSheet
+        ? { enabled: true, location: overrides.contactSheet }
+        : {}),
+    },
+    metadata: {
+      writers: defaultWriterNames(),
+      ...fileConfig.metadata,
+      ...(overrides.metadataWriters
+        ? { writers: overrides.metadataWriters }
+        : {}),
+    },
+  };
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+    );
+  }
+
+  return config;
+}
+
+function printConfig(config) {
+  console.log(`⚙️  Config: ${config.source || "built-in defaults"}`);
+  console.log(`⚙️  Provider: ${config.provider}`);
+  for (const [stage, settings] of Object.entries(config.stages)) {
+    const details = [
+      settings.model,
+      settings.temperature !== undefined
+        ? `temperature=${settings.temperature}`
+        : null,
+      settings.max_tokens !== undefined
+        ? `max_tokens=${settings.max_tokens}`
+        : null,
+      settings.base_url ? `base_url=${settings.base_url}` : null,
+    ].filter(Boolean);
+    console.log(`   • ${stage}: ${details.join(", ")}`);
+  }
+
+  const { backend, model_path, threads } = config.transcription;
+  if (backend !== "provider") {
+    const details = [
+      model_path ? `model_path=${model_path}` : null,
+      threads ? `threads=${threads}` : null,
+    ].filter(Boolean);
+    console.log(
+      `⚙️  Transcription: ${backend} (local)${
+        details.length ? `, ${details.join(", ")}` : ""
+      }`
+    );
+  }
+  if (config.captions.length > 0) {
+    console.log(`⚙️  Caption sidecars: ${config.captions.join(", ")}`);
+  }
+  if (config.keyframes.mode === "scene") {
+    console.log(
+      `⚙️  Keyframes: scene changes (threshold ${config.keyframes.scene_threshold})`
+    );
+  }
+  console.log(`⚙️  Metadata writers: ${config.metadata.writers.join(", ")}`);
+  if (!config.speech_detection.enabled) {
+    console.log("⚙️  Speech detection: off (vision model decides)");
+  }
+  if (!config.frame_quality.enabled) {
+    console.log("⚙️  Frame quality checks: off");
+  }
+  if (!config.location.enabled) {
+    console.log("⚙️  Location: off");
+  }
+  if (!config.duplicates.enabled) {
+    console.log("⚙️  Duplicate detection: off");
+  }
+  if (config.filenames.template !== DEFAULT_FILENAMES.template) {
+    console.log(`⚙️  File names: ${config.filenames.template}`);
+  }
+  if (config.contact_sheet.enabled) {
+    console.log(`⚙️  Contact sheets: ${config.contact_sheet.location}`);
+  }
+  const { jobs, api, local } = config.concurrency;
+  console.log(
+    `⚙️  Concurrency: ${jobs} jobs, ${api} API calls, ${local} local`
+  );
+}
+
+module.exports = {
+  loadConfig,
+  printConfig,
+  validateConfig,
+  DEFAULT_STAGES,
+  TRANSCRIPTION_BACKENDS,
+};
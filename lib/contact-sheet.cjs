@@ -0,0 +1,107 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { createCanvas, loadImage } = require("canvas");
+
+const HEADER_HEIGHT = 64;
+const GAP = 6;
+const LABEL_FONT = "bold 15px sans-serif";
+
+// 83.4 -> "1:23", 3723 -> "1:02:03"
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Lays keyframes ([{ path, time }], in any order) out in a grid, earliest
+ * first, with each frame's timestamp in its corner and a header band with
+ * the file name, importance and duration. Returns the PNG as a Buffer.
+ */
+async function renderContactSheet(
+  frames,
+  { title, importance, duration },
+  { columns = 4, cellWidth = 320 } = {}
+) {
+  const sorted = [...frames].sort((a, b) => a.time - b.time);
+  const images = await Promise.all(
+    sorted.map((frame) => loadImage(frame.path))
+  );
+
+  const first = images[0];
+  const cellHeight = first
+    ? Math.round((cellWidth * first.height) / first.width)
+    : Math.round((cellWidth * 9) / 16);
+  const cols = Math.max(1, Math.min(columns, images.length));
+  const rows = Math.max(1, Math.ceil(images.length / cols));
+  const width = cols * cellWidth + (cols + 1) * GAP;
+  const height = HEADER_HEIGHT + rows * cellHeight + (rows + 1) * GAP;
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#1e1e1e";
+  ctx.fillRect(0, 0, width, height);
+
+  // Header band
+  ctx.fillStyle = "#2f3b45";
+  ctx.fillRect(0, 0, width, HEADER_HEIGHT);
+  ctx.fillStyle = "#ffffff";
+  ctx.textBaseline = "middle";
+  ctx.font = "bold 20px sans-serif";
+  ctx.fillText(title, 12, HEADER_HEIGHT / 2 - 11, width - 24);
+  ctx.font = "15px sans-serif";
+  ctx.fillText(
+    `Importance ${importance}/9  ·  ${formatClock(duration)}  ·  ${
+      images.length
+    } frames`,
+    12,
+    HEADER_HEIGHT / 2 + 14,
+    width - 24
+  );
+
+  images.forEach((image, i) => {
+    const x = GAP + (i % cols) * (cellWidth + GAP);
+    const y = HEADER_HEIGHT + GAP + Math.floor(i / cols) * (cellHeight + GAP);
+    // Letterbox frames that don't share the first one's shape
+    const scale = Math.min(cellWidth / image.width, cellHeight / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(x, y, cellWidth, cellHeight);
+    ctx.drawImage(
+      image,
+      x + (cellWidth - drawWidth) / 2,
+      y + (cellHeight - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+
+    const label = formatClock(sorted[i].time);
+    ctx.font = LABEL_FONT;
+    const labelWidth = ctx.measureText(label).width + 12;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.65)";
+    ctx.fillRect(x + 6, y + cellHeight - 30, labelWidth, 24);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(label, x + 12, y + cellHeight - 18);
+  });
+
+  return canvas.toBuffer("image/png");
+}
+
+async function writeContactSheet(sheetPath, frames, details, layout) {
+  await fs.ensureDir(path.dirname(sheetPath));
+  await fs.writeFile(
+    sheetPath,
+    await renderContactSheet(frames, details, layout)
+  );
+  return sheetPath;
+}
+
+module.exports = {
+  renderContactSheet,
+  writeContactSheet,
+};
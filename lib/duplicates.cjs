@@ -0,0 +1,484 @@
+const ffmpeg = require("fluent-ffmpeg");
+
+const DEFAULT_DUPLICATES = {
+  enabled: true,
+  // Seconds between hashed frames, stretched so no clip gets more than
+  // max_frames of them
+  frame_interval: 2,
+  max_frames: 120,
+  // Frames whose hashes differ in at most this many of 64 bits look alike
+  hash_distance: 10,
+  // Share of the shorter clip's frames that must turn up in the other
+  min_frame_match: 0.8,
+  // Share of audio fingerprint bits that must agree at the best alignment
+  min_audio_match: 0.7,
+};
+
+// Audio is summarised as one bit per quarter second: louder than the
+// previous quarter or not
+const AUDIO_SAMPLE_RATE = 8000;
+const AUDIO_WINDOWS_PER_SECOND = 4;
+const AUDIO_WINDOW = AUDIO_SAMPLE_RATE / AUDIO_WINDOWS_PER_SECOND;
+// Windows quieter than this RMS (of 32768) don't count as sound
+const SILENT_RMS = 100;
+
+// Rating given to copies that aren't kept, so the retention policy (8 and
+// up by default) picks them up
+const DUPLICATE_RATING = 9;
+
+// Frames with less contrast than this (0-255) hash to noise, so they're
+// left out: black frames would otherwise match every other black frame
+const FLAT_CONTRAST = 12;
+
+// Clips within 5% of each other's length are copies; otherwise one is cut
+// from the other
+const SAME_LENGTH = 0.05;
+
+// Hash bands shared by more clips than this (sky, walls) aren't used to
+// find candidates
+const MAX_BAND_CLIPS = 50;
+
+const BIT_COUNTS = Array.from({ length: 256 }, (_, byte) =>
+  byte
+    .toString(2)
+    .split("")
+    .reduce((count, bit) => count + Number(bit), 0)
+);
+
+function validateDuplicates(settings) {
+  const errors = [];
+  if (typeof settings.enabled !== "boolean") {
+    errors.push("duplicates.enabled must be true or false");
+  }
+  for (const key of ["frame_interval", "max_frames"]) {
+    if (!Number.isFinite(settings[key]) || settings[key] <= 0) {
+      errors.push(`duplicates.${key} must be a positive number`);
+    }
+  }
+  if (
+    !Number.isInteger(settings.hash_distance) ||
+    settings.hash_distance < 0 ||
+    settings.hash_distance > 64
+  ) {
+    errors.push("duplicates.hash_distance must be a whole number from 0-64");
+  }
+  for (const key of ["min_frame_match", "min_audio_match"]) {
+    if (
+      !Number.isFinite(settings[key]) ||
+      settings[key] <= 0 ||
+      settings[key] > 1
+    ) {
+      errors.push(`duplicates.${key} must be a number above 0, at most 1`);
+    }
+  }
+  return errors;
+}
+
+// Runs an ffmpeg command that writes raw data to a pipe and hands each
+// chunk to `onData` as it arrives
+function readRaw(command, onData) {
+  return new Promise((resolve, reject) => {
+    const stream = command.on("error", reject).on("end", resolve).pipe();
+    stream.on("data", onData);
+  });
+}
+
+// Difference hash of a 9x8 grey frame: one bit per neighbouring pixel
+// pair, set when the left one is brighter. Returns 16 hex characters, or
+// "" for a frame too flat to hash.
+function dHash(pixels) {
+  if (Math.max(...pixels) - Math.min(...pixels) < FLAT_CONTRAST) return "";
+  const bytes = Buffer.alloc(8);
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    bytes[row] = byte;
+  }
+  return bytes.toString("hex");
+}
+
+async function hashFrames(videoPath, interval) {
+  const hashes = [];
+  let pending = Buffer.alloc(0);
+  await readRaw(
+    ffmpeg(videoPath)
+      .noAudio()
+      .videoFilters([
+        `fps=1/${interval}`,
+        "scale=9:8:flags=area",
+        "format=gray",
+      ])
+      .format("rawvideo"),
+    (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 72) {
+        hashes.push(dHash(pending.subarray(0, 72)));
+        pending = pending.subarray(72);
+      }
+    }
+  );
+  return hashes;
+}
+
+// Packs the loudness rises of the audio track into hex, or returns null
+// for a clip that's silent (or has no audio) most of the time
+async function fingerprintAudio(videoPath) {
+  const levels = [];
+  let pending = Buffer.alloc(0);
+  await readRaw(
+    ffmpeg(videoPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(AUDIO_SAMPLE_RATE)
+      .format("s16le"),
+    (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= AUDIO_WINDOW * 2) {
+        let sum = 0;
+        for (let i = 0; i < AUDIO_WINDOW; i++) {
+          const sample = pending.readInt16LE(i * 2);
+          sum += sample * sample;
+        }
+        levels.push(Math.sqrt(sum / AUDIO_WINDOW));
+        pending = pending.subarray(AUDIO_WINDOW * 2);
+      }
+    }
+  );
+
+  const audible = levels.filter((level) => level >= SILENT_RMS).length;
+  if (levels.length < 2 || audible < levels.length / 2) return null;
+
+  const bits = levels.slice(1).map((level, i) => (level > levels[i] ? 1 : 0));
+  const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+  bits.forEach((bit, i) => {
+    if (bit) bytes[i >> 3] |= 0x80 >> (i & 7);
+  });
+  return { bits: bits.length, hex: bytes.toString("hex") };
+}
+
+/**
+ * Works out what a clip looks and sounds like, locally: difference hashes
+ * of frames taken every few seconds, and a bit per quarter second of
+ * whether the sound got louder. Two re-encodes, re-exports or trims of the
+ * same recording come out alike even though their bytes don't.
+ * Returns { frame_interval, frames: [hex], audio: { bits, hex } | null }.
+ */
+async function computeSimilarity(videoPath, probe, settings) {
+  const interval = Math.max(
+    settings.frame_interval,
+    probe.format.duration / settings.max_frames
+  );
+  const hasAudio = probe.streams.some(
+    (stream) => stream.codec_type === "audio"
+  );
+  return {
+    frame_interval: Math.round(interval * 100) / 100,
+    frames: await hashFrames(videoPath, interval),
+    audio: hasAudio ? await fingerprintAudio(videoPath) : null,
+  };
+}
+
+function sameLength(a, b) {
+  const longer = Math.max(a.duration || 0, b.duration || 0);
+  return (
+    Math.abs((a.duration || 0) - (b.duration || 0)) <= longer * SAME_LENGTH
+  );
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) distance += BIT_COUNTS[a[i] ^ b[i]];
+  return distance;
+}
+
+const frameBuffers = (similarity) =>
+  similarity.frames
+    .filter((hash) => hash)
+    .map((hash) => Buffer.from(hash, "hex"));
+
+function unpackBits({ bits, hex }) {
+  const bytes = Buffer.from(hex, "hex");
+  return Uint8Array.from({ length: bits }, (_, i) =>
+    bytes[i >> 3] & (0x80 >> (i & 7)) ? 1 : 0
+  );
+}
+
+// Share of the shorter fingerprint's bits that agree with the longer one,
+// at the offset where they agree most
+function audioMatch(a, b) {
+  let [shorter, longer] = [unpackBits(a), unpackBits(b)];
+  if (shorter.length > longer.length) [shorter, longer] = [longer, shorter];
+  let best = 0;
+  for (let offset = 0; offset <= longer.length - shorter.length; offset++) {
+    let same = 0;
+    for (let i = 0; i < shorter.length; i++) {
+      if (shorter[i] === longer[offset + i]) same++;
+    }
+    best = Math.max(best, same);
+  }
+  return best / shorter.length;
+}
+
+/**
+ * Compares two clips { fingerprint, duration, similarity }. Returns null
+ * when they're different recordings, otherwise { kind, frame_match,
+ * audio_match } where kind is "exact" (same audio and video data),
+ * "copy" (re-encoded or re-exported at about the same length) or
+ * "trimmed" (one is cut from the other).
+ */
+function compareClips(a, b, settings) {
+  if (a.fingerprint && a.fingerprint === b.fingerprint) {
+    return { kind: "exact", frame_match: 1, audio_match: 1 };
+  }
+  if (!a.similarity || !b.similarity) return null;
+
+  let [shorter, longer] = [
+    frameBuffers(a.similarity),
+    frameBuffers(b.similarity),
+  ];
+  if (shorter.length > longer.length) [shorter, longer] = [longer, shorter];
+  if (shorter.length < 2) return null;
+
+  const matched = shorter.filter((hash) =>
+    longer.some(
+      (other) => hammingDistance(hash, other) <= settings.hash_distance
+    )
+  ).length;
+  const frameMatch = matched / shorter.length;
+  if (frameMatch < settings.min_frame_match) return null;
+
+  // Without sound on both sides the frames have to be enough
+  let audio = null;
+  if (a.similarity.audio && b.similarity.audio) {
+    audio = audioMatch(a.similarity.audio, b.similarity.audio);
+    if (audio < settings.min_audio_match) return null;
+  }
+
+  return {
+    kind: sameLength(a, b) ? "copy" : "trimmed",
+    frame_match: Math.round(frameMatch * 100) / 100,
+    audio_match: audio === null ? null : Math.round(audio * 100) / 100,
+  };
+}
+
+/**
+ * Finds likely pairs quickly: each frame hash is cut into four 16-bit
+ * bands, and clips that share a band value with each other (in any frame)
+ * are worth comparing in full. Clips are { id, fingerprint, ... }.
+ */
+function createCandidateIndex() {
+  const bands = new Map();
+  const byFingerprint = new Map();
+
+  const bandKeys = (clip) => {
+    const keys = new Set();
+    for (const hash of (clip.similarity && clip.similarity.frames) || []) {
+      for (let band = 0; hash && band < 4; band++) {
+        keys.add(`${band}:${hash.slice(band * 4, band * 4 + 4)}`);
+      }
+    }
+    return keys;
+  };
+
+  return {
+    add(clip) {
+      for (const key of bandKeys(clip)) {
+        if (!bands.has(key)) bands.set(key, new Set());
+        bands.get(key).add(clip);
+      }
+      if (clip.fingerprint) {
+        if (!byFingerprint.has(clip.fingerprint)) {
+          byFingerprint.set(clip.fingerprint, new Set());
+        }
+        byFingerprint.get(clip.fingerprint).add(clip);
+      }
+    },
+
+    candidates(clip) {
+      const found = new Set(byFingerprint.get(clip.fingerprint) || []);
+      for (const key of bandKeys(clip)) {
+        const clips = bands.get(key);
+        if (!clips || clips.size > MAX_BAND_CLIPS) continue;
+        clips.forEach((other) => found.add(other));
+      }
+      found.delete(clip);
+      return [...found];
+    },
+  };
+}
+
+// What the duplicate checks need to know about a catalog entry
+function clipFromEntry(entry, filePath) {
+  return {
+    id: entry.id,
+    path: filePath,
+    fingerprint: entry.fingerprint,
+    duration: entry.duration_seconds,
+    similarity: entry.similarity,
+    media: entry.media,
+    captured_at: entry.captured_at,
+    entry,
+  };
+}
+
+const pixels = (clip) => {
+  const video = clip.media && clip.media.video;
+  return video ? video.width * video.height : 0;
+};
+
+// Best copy first: the full length, then the sharpest picture, the
+// highest bitrate, the one still carrying camera metadata (an original
+// rather than an export), the earliest filmed
+const KEEP_ORDER = [
+  ["longest", (a, b) => (sameLength(a, b) ? 0 : b.duration - a.duration)],
+  ["highest resolution", (a, b) => pixels(b) - pixels(a)],
+  [
+    "highest bitrate",
+    (a, b) =>
+      ((b.media && b.media.bit_rate) || 0) -
+      ((a.media && a.media.bit_rate) || 0),
+  ],
+  [
+    "original camera file",
+    (a, b) =>
+      Number(Boolean(b.media && b.media.camera)) -
+      Number(Boolean(a.media && a.media.camera)),
+  ],
+  [
+    "filmed first",
+    (a, b) =>
+      String(a.captured_at || "~").localeCompare(String(b.captured_at || "~")),
+  ],
+];
+
+/**
+ * Orders a group of duplicate clips best first. Returns { clips, reason }
+ * where reason names the test that put the first clip ahead.
+ */
+function rankCopies(clips) {
+  const ranked = [...clips].sort((a, b) => {
+    for (const [, compare] of KEEP_ORDER) {
+      const order = compare(a, b);
+      if (order) return order;
+    }
+    return 0;
+  });
+  // Named after the first test the best clip wins against any of the rest
+  let reason = "catalogued first";
+  for (const other of ranked.slice(1)) {
+    const decider = KEEP_ORDER.find(([, compare]) => compare(ranked[0], other));
+    if (decider) {
+      reason = decider[0];
+      break;
+    }
+  }
+  return { clips: ranked, reason };
+}
+
+/**
+ * Looks among `others` for a better copy of `clip` (see rankCopies).
+ * Returns { clip, kind, reason } for the best one found, or null when
+ * `clip` has no duplicates or is itself the best copy.
+ */
+function findBetterCopy(clip, others, settings) {
+  const index = createCandidateIndex();
+  others.forEach((other) => index.add(other));
+
+  const copies = [];
+  for (const other of index.candidates(clip)) {
+    const match = compareClips(clip, other, settings);
+    if (match) copies.push({ clip: other, kind: match.kind });
+  }
+  if (copies.length === 0) return null;
+
+  // Listed after the others so a tie goes to the copy already catalogued
+  const { clips: ranked, reason } = rankCopies([
+    ...copies.map((copy) => copy.clip),
+    clip,
+  ]);
+  if (ranked[0] === clip) return null;
+  return { ...copies.find((copy) => copy.clip === ranked[0]), reason };
+}
+
+/**
+ * Groups clips that are copies of one another (directly or through a
+ * chain: a trim of a copy). Returns [{ clips, keep, reason, pairs }] with
+ * clips ranked best first and keep the one to hold on to.
+ */
+function groupDuplicates(clips, settings) {
+  const index = createCandidateIndex();
+  clips.forEach((clip) => index.add(clip));
+
+  const parent = new Map(clips.map((clip) => [clip, clip]));
+  const root = (clip) => {
+    while (parent.get(clip) !== clip) clip = parent.get(clip);
+    return clip;
+  };
+  const pairs = [];
+  const seen = new Set();
+
+  for (const clip of clips) {
+    for (const other of index.candidates(clip)) {
+      const key = [clip.id, other.id].sort().join("|");
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const match = compareClips(clip, other, settings);
+      if (!match) continue;
+      pairs.push({ a: clip, b: other, ...match });
+      parent.set(root(clip), root(other));
+    }
+  }
+
+  const groups = new Map();
+  for (const clip of clips) {
+    const top = root(clip);
+    if (!groups.has(top)) groups.set(top, []);
+    groups.get(top).push(clip);
+  }
+
+  return [...groups.values()]
+    .filter((members) => members.length > 1)
+    .map((members) => {
+      const { clips: ranked, reason } = rankCopies(members);
+      return {
+        clips: ranked,
+        keep: ranked[0],
+        reason,
+        pairs: pairs.filter(({ a }) => members.includes(a)),
+      };
+    });
+}
+
+/**
+ * An entry's importance once it's known to be a copy of a better video:
+ * DUPLICATE_RATING, keeping `own`, the { rating, reason } it has on its
+ * own (null if that isn't known), as before_duplicate. `duplicate` is
+ * { filename, kind, reason }.
+ */
+function rateAsDuplicate(own, duplicate) {
+  return {
+    rating: DUPLICATE_RATING,
+    reason: `Duplicate content: ${
+      duplicate.kind === "trimmed" ? "trimmed" : "re-encoded"
+    } copy of ${duplicate.filename}, which is better (${duplicate.reason})`,
+    before_duplicate: own,
+  };
+}
+
+module.exports = {
+  DEFAULT_DUPLICATES,
+  DUPLICATE_RATING,
+  validateDuplicates,
+  computeSimilarity,
+  compareClips,
+  createCandidateIndex,
+  clipFromEntry,
+  rankCopies,
+  findBetterCopy,
+  groupDuplicates,
+  rateAsDuplicate,
+};
@@ -0,0 +1,152 @@
+// Tokens a filename template can use, e.g. "{date}_{importance}_{slug}":
+//   date       capture date, 2024-07-14 (local time where it was filmed)
+//   time       capture time, 153012
+//   importance importance rating, 1-9
+//   slug       short description from the model, beach-sunset-walk
+//   camera     camera model from the file's metadata, iphone-12-pro
+//   hash       start of the content fingerprint, stable across reruns
+//   original   the file's name before it was first renamed
+const FILENAME_TOKENS = [
+  "date",
+  "time",
+  "importance",
+  "slug",
+  "camera",
+  "hash",
+  "original",
+];
+
+const DEFAULT_FILENAMES = {
+  template: "{importance}_{slug}-{hash}",
+  separator: "-",
+  max_length: 80,
+  hash_length: 4,
+};
+
+// Characters that aren't safe in a file name on at least one system
+const UNSAFE_CHARACTERS = /[/\\:*?"<>|]/;
+
+function templateTokens(template) {
+  return [...template.matchAll(/\{([^}]*)\}/g)].map((match) => match[1]);
+}
+
+function validateFilenames(settings) {
+  const errors = [];
+  if (typeof settings.template !== "string" || !settings.template.trim()) {
+    errors.push("filenames.template must be a non-empty string");
+  } else {
+    const unknown = templateTokens(settings.template).filter(
+      (token) => !FILENAME_TOKENS.includes(token)
+    );
+    if (unknown.length > 0) {
+      errors.push(
+        `filenames.template has unknown token(s) ${unknown
+          .map((token) => `{${token}}`)
+          .join(", ")} (expected ${FILENAME_TOKENS.join(", ")})`
+      );
+    }
+    if (UNSAFE_CHARACTERS.test(settings.template.replace(/\{[^}]*\}/g, ""))) {
+      errors.push("filenames.template can't contain / \\ : * ? \" < > |");
+    }
+  }
+  if (
+    typeof settings.separator !== "string" ||
+    settings.separator.length > 3 ||
+    UNSAFE_CHARACTERS.test(settings.separator)
+  ) {
+    errors.push("filenames.separator must be at most 3 file-safe characters");
+  }
+  if (!Number.isInteger(settings.max_length) || settings.max_length < 16) {
+    errors.push("filenames.max_length must be an integer of at least 16");
+  }
+  if (
+    !Number.isInteger(settings.hash_length) ||
+    settings.hash_length < 4 ||
+    settings.hash_length > 64
+  ) {
+    errors.push("filenames.hash_length must be an integer from 4 to 64");
+  }
+  return errors;
+}
+
+// "Kids' Birthday Party!" -> "kids-birthday-party" with separator "-"
+function slugify(text, separator) {
+  const words = String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f']/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  return words.join(separator);
+}
+
+/**
+ * Builds a file name (without extension) from a template. Each token's
+ * value is slugified with the separator; tokens without a value (no
+ * camera model, say) are dropped along with the punctuation around them.
+ * Names over max_length lose words from the end of the slug first, and a
+ * name that comes out empty falls back to the hash.
+ *
+ * values: { captured, importance, slug, camera, hash, original }, where
+ * captured is the wall-clock capture time, "2024-07-14T15:30:12"
+ */
+function renderFilename(values, settings) {
+  const { template, separator, max_length: maxLength } = settings;
+  const captured = values.captured || "";
+  const tokenValues = {
+    date: captured.slice(0, 10),
+    time: captured.slice(11, 19).replace(/:/g, ""),
+    importance:
+      values.importance !== undefined ? String(values.importance) : "",
+    camera: slugify(values.camera, separator),
+    hash: values.hash || "",
+    original: slugify(values.original, separator),
+  };
+
+  // Literal text sits at even indexes, tokens at odd ones
+  const pieces = template.split(/(\{[^}]*\})/);
+  const render = (slug) => {
+    let name = "";
+    let gap = "";
+    let skipped = false;
+    // Only the template text around empty tokens is tidied, so a value's
+    // own separators ("--", say) are left alone: "2_-a1b2" -> "2_a1b2"
+    const tidy = (text) =>
+      skipped ? text.replace(/([-_. ])[-_. ]+/g, "$1") : text;
+    pieces.forEach((piece, i) => {
+      if (i % 2 === 0) {
+        gap += piece;
+        return;
+      }
+      const token = piece.slice(1, -1);
+      const value = token === "slug" ? slug : tokenValues[token];
+      if (!value) {
+        skipped = true;
+        return;
+      }
+      name += (name ? tidy(gap) : gap.replace(/^[-_. ]+/, "")) + value;
+      gap = "";
+      skipped = false;
+    });
+    return name ? name + tidy(gap).replace(/[-_. ]+$/, "") : "";
+  };
+
+  let words = slugify(values.slug, " ").split(" ").filter(Boolean);
+  let name = render(words.join(separator));
+  while (name.length > maxLength && words.length > 1) {
+    words = words.slice(0, -1);
+    name = render(words.join(separator));
+  }
+  if (!name) return tokenValues.hash;
+  return name.length > maxLength
+    ? name.slice(0, maxLength).replace(/[-_. ]+$/, "")
+    : name;
+}
+
+module.exports = {
+  FILENAME_TOKENS,
+  DEFAULT_FILENAMES,
+  validateFilenames,
+  slugify,
+  renderFilename,
+};
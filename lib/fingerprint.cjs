@@ -0,0 +1,32 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+
+/**
+ * SHA-256 of a video's audio and video packets, read with stream copy so
+ * nothing is decoded. Unlike a plain file hash this doesn't change when
+ * container tags are rewritten, so it identifies a clip no matter what
+ * it's called, where it is, or what metadata has been written into it.
+ */
+async function fingerprintMedia(filePath) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dusty-hash-"));
+  const hashPath = path.join(tempDir, "hash.txt");
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg(filePath)
+        .outputOptions(["-map 0:v?", "-map 0:a?", "-c copy", "-hash sha256"])
+        .format("hash")
+        .save(hashPath)
+        .on("end", resolve)
+        .on("error", reject);
+    });
+    const output = (await fs.readFile(hashPath, "utf8")).trim();
+    return output.replace(/^SHA256=/, "");
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+module.exports = { fingerprintMedia };
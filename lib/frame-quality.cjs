@@ -0,0 +1,117 @@
+const { createCanvas, loadImage } = require("canvas");
+
+// Frames are scored on a copy no wider than this, which is plenty to tell
+// a sharp frame from a smeared one
+const SCORING_WIDTH = 320;
+
+// Where to look for a replacement when a frame scores badly, in seconds
+// from the original time, nearest first
+const NEARBY_OFFSETS = [0.5, -0.5, 1, -1, 2, -2];
+
+/**
+ * Scores a frame on this machine:
+ *   sharpness  - variance of the Laplacian of the greyscale image
+ *   brightness - mean luma, 0 (black) to 255 (white)
+ *   entropy    - Shannon entropy of the luma histogram, 0 to 8 bits
+ */
+async function scoreFrame(framePath) {
+  const image = await loadImage(framePath);
+  const scale = Math.min(1, SCORING_WIDTH / image.width);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const luma = new Float32Array(width * height);
+  const histogram = new Array(256).fill(0);
+  let total = 0;
+  for (let i = 0; i < luma.length; i++) {
+    const value =
+      0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    luma[i] = value;
+    histogram[Math.min(255, Math.round(value))]++;
+    total += value;
+  }
+
+  let entropy = 0;
+  for (const count of histogram) {
+    if (count === 0) continue;
+    const p = count / luma.length;
+    entropy -= p * Math.log2(p);
+  }
+
+  let sum = 0;
+  let sumSquares = 0;
+  let samples = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian =
+        luma[i - 1] +
+        luma[i + 1] +
+        luma[i - width] +
+        luma[i + width] -
+        4 * luma[i];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      samples++;
+    }
+  }
+  const mean = samples ? sum / samples : 0;
+  const sharpness = samples ? sumSquares / samples - mean * mean : 0;
+
+  return {
+    sharpness: Number(sharpness.toFixed(1)),
+    brightness: Number((total / luma.length).toFixed(1)),
+    entropy: Number(entropy.toFixed(2)),
+  };
+}
+
+/**
+ * Lists what's wrong with a frame given the configured thresholds; an
+ * empty list means the frame is fine to upload.
+ */
+function frameProblems(score, thresholds) {
+  const problems = [];
+  if (score.brightness < thresholds.min_brightness) problems.push("too dark");
+  if (score.brightness > thresholds.max_brightness) problems.push("washed out");
+  if (score.sharpness < thresholds.min_sharpness) problems.push("blurry");
+  if (score.entropy < thresholds.min_entropy) problems.push("featureless");
+  return problems;
+}
+
+// Rough overall ranking used when no candidate passes every threshold
+function qualityRank(score, thresholds) {
+  return (
+    score.entropy / 8 +
+    Math.min(score.sharpness / thresholds.min_sharpness, 2) / 2 -
+    frameProblems(score, thresholds).length
+  );
+}
+
+/**
+ * One line per frame for the importance prompt, e.g.
+ * "Frame 2 (12.5s): blurry, too dark (sharpness 8.1, brightness 14.0)"
+ */
+function describeFrameQuality(frames) {
+  return frames
+    .map((frame, i) => {
+      const label = `Frame ${i + 1} (${frame.time.toFixed(1)}s)`;
+      const detail = `sharpness ${frame.sharpness}, brightness ${frame.brightness}, entropy ${frame.entropy}`;
+      return frame.problems.length > 0
+        ? `${label}: ${frame.problems.join(", ")} (${detail})`
+        : `${label}: clear (${detail})`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  NEARBY_OFFSETS,
+  scoreFrame,
+  frameProblems,
+  qualityRank,
+  describeFrameQuality,
+};
@@ -0,0 +1,266 @@
+const path = require("path");
+const { formatTimestamp } = require("./captions.cjs");
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// A relative link that still works when the folder is opened from a USB
+// drive or another machine: forward slashes, each part URL-encoded
+function relativeUrl(fromDir, toPath) {
+  return path
+    .relative(fromDir, toPath)
+    .split(path.sep)
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, "0")}`;
+}
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; background: #f4f1ec; color: #222; }
+  header { background: #2f3b45; color: #fff; padding: 16px 24px; }
+  header h1 { margin: 0 0 8px; font-size: 22px; }
+  header a { color: #fff; }
+  main { padding: 24px; max-width: 1200px; margin: 0 auto; }
+  label { margin-right: 16px; }
+  select { font-size: 14px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 16px; }
+  .card { background: #fff; border-radius: 6px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,.15); color: inherit; text-decoration: none; }
+  .card img, .card .no-poster { width: 100%; aspect-ratio: 16 / 9; object-fit: cover; background: #ccc; display: block; }
+  .card .info { padding: 8px 10px; font-size: 13px; }
+  .card .name { font-weight: 600; word-break: break-all; }
+  .badge { display: inline-block; border-radius: 10px; padding: 1px 8px; font-size: 12px; background: #e3e0da; margin: 2px 2px 0 0; }
+  .importance { background: #2f3b45; color: #fff; }
+  .hidden { display: none; }
+  video { width: 100%; max-height: 70vh; background: #000; }
+  .segment { display: block; margin: 4px 0; }
+  .segment button { font-family: monospace; margin-right: 8px; cursor: pointer; }
+  .missing { background: #fbe3d6; padding: 12px; border-radius: 6px; }
+`;
+
+function page(title, header, body, script = "") {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>${header}</header>
+<main>
+${body}
+</main>
+${script ? `<script>${script}</script>` : ""}
+</body>
+</html>
+`;
+}
+
+// Shows or hides cards by the chosen importance and tag; a tag can also
+// come in on the URL (index.html#tag=beach) from a video page
+const INDEX_SCRIPT = `
+  const importanceSelect = document.getElementById("importance");
+  const tagSelect = document.getElementById("tag");
+  const count = document.getElementById("count");
+  function applyFilters() {
+    const maxImportance = Number(importanceSelect.value);
+    const tag = tagSelect.value;
+    let shown = 0;
+    for (const card of document.querySelectorAll(".card")) {
+      const tags = card.dataset.tags ? card.dataset.tags.split("|") : [];
+      const visible =
+        Number(card.dataset.importance) <= maxImportance &&
+        (!tag || tags.includes(tag));
+      card.classList.toggle("hidden", !visible);
+      if (visible) shown++;
+    }
+    count.textContent = shown + " videos";
+  }
+  const hashTag = decodeURIComponent(location.hash.replace(/^#tag=/, ""));
+  if (hashTag && [...tagSelect.options].some((o) => o.value === hashTag)) {
+    tagSelect.value = hashTag;
+  }
+  importanceSelect.addEventListener("change", applyFilters);
+  tagSelect.addEventListener("change", applyFilters);
+  applyFilters();
+`;
+
+/**
+ * Renders the gallery's index.html: a grid of poster frames, most
+ * important first, with importance and tag filters. Each item is
+ * { entry, pageUrl, posterUrl } with URLs relative to the gallery folder.
+ */
+function renderIndexPage(title, items) {
+  const tagCounts = new Map();
+  for (const { entry } of items) {
+    for (const keyword of entry.keywords || []) {
+      tagCounts.set(keyword, (tagCounts.get(keyword) || 0) + 1);
+    }
+  }
+  const tagOptions = [...tagCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(
+      ([tag, n]) =>
+        `<option value="${escapeHtml(tag)}">${escapeHtml(tag)} (${n})</option>`
+    )
+    .join("");
+  // Lower ratings matter more, so each option shows 1 up to a cut-off
+  const importanceOptions = [9, 8, 7, 6, 5, 4, 3, 2, 1]
+    .map(
+      (n) =>
+        `<option value="${n}">${
+          n === 9 ? "All" : n === 1 ? "1 (must keep)" : `1-${n}`
+        }</option>`
+    )
+    .join("");
+
+  const cards = items
+    .map(({ entry, pageUrl, posterUrl }) => {
+      const poster = posterUrl
+        ? `<img src="${posterUrl}" alt="" loading="lazy">`
+        : `<div class="no-poster"></div>`;
+      const tags = (entry.keywords || [])
+        .map((tag) => `<span class="badge">${escapeHtml(tag)}</span>`)
+        .join("");
+      return `<a class="card" href="${pageUrl}" data-importance="${
+        entry.importance.rating
+      }" data-tags="${escapeHtml((entry.keywords || []).join("|"))}">
+${poster}
+<div class="info">
+<div class="name">${escapeHtml(entry.filename)}</div>
+<span class="badge importance">${
+        entry.importance.rating
+      }/9</span><span class="badge">${formatDuration(
+        entry.duration_seconds
+      )}</span>${tags}
+</div>
+</a>`;
+    })
+    .join("\n");
+
+  return page(
+    title,
+    `<h1>${escapeHtml(title)}</h1>
+<label>Importance <select id="importance">${importanceOptions}</select></label>
+<label>Tag <select id="tag"><option value="">All</option>${tagOptions}</select></label>
+<span id="count"></span>`,
+    `<div class="grid">\n${cards}\n</div>`,
+    INDEX_SCRIPT
+  );
+}
+
+// Clicking a transcript timestamp jumps the video there
+const VIDEO_SCRIPT = `
+  const video = document.querySelector("video");
+  for (const button of document.querySelectorAll("[data-time]")) {
+    button.addEventListener("click", () => {
+      video.currentTime = Number(button.dataset.time);
+      video.play();
+    });
+  }
+`;
+
+/**
+ * Renders one video's page: the video itself, its description, additional
+ * scenes and transcript. URLs are relative to the page.
+ */
+function renderVideoPage(entry, { indexUrl, videoUrl, posterUrl }) {
+  const tags = (entry.keywords || [])
+    .map(
+      (tag) =>
+        `<a class="badge" href="${indexUrl}#tag=${encodeURIComponent(
+          tag
+        )}">${escapeHtml(tag)}</a>`
+    )
+    .join("");
+
+  const player = videoUrl
+    ? `<video controls preload="metadata" src="${videoUrl}"${
+        posterUrl ? ` poster="${posterUrl}"` : ""
+      }></video>`
+    : `<p class="missing">The video file wasn't found when this gallery was made.</p>`;
+
+  const scenes =
+    entry.additional_descriptions && entry.additional_descriptions.length > 0
+      ? `<h2>Additional scenes</h2>
+<ul>${entry.additional_descriptions
+          .map((scene) => `<li>${escapeHtml(scene)}</li>`)
+          .join("")}</ul>`
+      : "";
+
+  let transcript = "";
+  if (entry.transcript_segments && entry.transcript_segments.length > 0) {
+    transcript = `<h2>Transcript</h2>
+${entry.transcript_segments
+  .map(
+    (segment) =>
+      `<span class="segment"><button data-time="${
+        segment.start
+      }">${formatTimestamp(segment.start, ".").slice(
+        0,
+        8
+      )}</button>${escapeHtml(segment.text.trim())}</span>`
+  )
+  .join("\n")}`;
+  } else if (entry.transcript) {
+    transcript = `<h2>Transcript</h2>\n<p>${escapeHtml(entry.transcript)}</p>`;
+  }
+
+  return page(
+    entry.filename,
+    `<a href="${indexUrl}">← All videos</a>
+<h1>${escapeHtml(entry.filename)}</h1>
+<span class="badge importance">${entry.importance.rating}/9</span> ${escapeHtml(
+      entry.importance.reason
+    )}`,
+    `${player}
+<p><span class="badge">${formatDuration(entry.duration_seconds)}</span>${
+      entry.captured_at
+        ? `<span class="badge">filmed ${entry.captured_at
+            .slice(0, 16)
+            .replace("T", " ")}</span>`
+        : ""
+    }${
+      entry.location && entry.location.place
+        ? `<span class="badge">📍 ${escapeHtml(
+            entry.location.place.name
+          )}</span>`
+        : ""
+    }${
+      entry.original_name
+        ? `<span class="badge">was ${escapeHtml(entry.original_name)}</span>`
+        : ""
+    }${
+      entry.processed_at
+        ? `<span class="badge">processed ${entry.processed_at.slice(
+            0,
+            10
+          )}</span>`
+        : ""
+    }${tags}</p>
+<h2>Description</h2>
+<p>${escapeHtml(entry.description)}</p>
+${scenes}
+${transcript}`,
+    videoUrl && transcript ? VIDEO_SCRIPT : ""
+  );
+}
+
+module.exports = {
+  escapeHtml,
+  relativeUrl,
+  renderIndexPage,
+  renderVideoPage,
+};
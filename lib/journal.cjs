@@ -0,0 +1,105 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const { createLimiter } = require("./pool.cjs");
+
+const JOURNAL_FILE = path.join(".dusty", "renames.jsonl");
+
+// e.g. "20261019-183012-4f2a": sortable by start time, unique per run
+function createRunId() {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Opens the rename journal for a catalog folder, kept at
+ * .dusty/renames.jsonl. Each rename convert.cjs makes is appended as
+ *   { op: "rename", id, run, at, from, to, fingerprint, sidecars }
+ * with absolute paths and any sidecar files that moved along with the
+ * video. Undoing one appends { op: "undo", id, at }, so the journal is
+ * never rewritten and keeps the full history.
+ */
+async function openJournal(catalogDir) {
+  const journalPath = path.join(catalogDir, JOURNAL_FILE);
+  const writeLimit = createLimiter(1);
+
+  // An interrupted run can leave half a line; start past it
+  let lead = "";
+  if (await fs.pathExists(journalPath)) {
+    const content = await fs.readFile(journalPath, "utf8");
+    if (content && !content.endsWith("\n")) lead = "\n";
+  }
+
+  async function append(record) {
+    await writeLimit(async () => {
+      await fs.ensureDir(path.dirname(journalPath));
+      const handle = await fs.promises.open(journalPath, "a");
+      try {
+        await handle.appendFile(`${lead}${JSON.stringify(record)}\n`);
+        lead = "";
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    });
+    return record;
+  }
+
+  return {
+    path: journalPath,
+
+    recordRename({ run, from, to, fingerprint, sidecars = [] }) {
+      return append({
+        op: "rename",
+        id: crypto.randomUUID(),
+        run,
+        at: new Date().toISOString(),
+        from,
+        to,
+        fingerprint: fingerprint || null,
+        sidecars,
+      });
+    },
+
+    recordUndo(id) {
+      return append({ op: "undo", id, at: new Date().toISOString() });
+    },
+
+    /**
+     * Every rename in the order it happened, each with `undone` set once
+     * it has been undone
+     */
+    async renames() {
+      if (!(await fs.pathExists(journalPath))) return [];
+      const renames = [];
+      const byId = new Map();
+      const lines = (await fs.readFile(journalPath, "utf8")).split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          continue; // torn last line from an interrupted run
+        }
+        if (record.op === "rename") {
+          const rename = { ...record, undone: false };
+          renames.push(rename);
+          byId.set(rename.id, rename);
+        } else if (record.op === "undo" && byId.has(record.id)) {
+          byId.get(record.id).undone = true;
+        }
+      }
+      return renames;
+    },
+  };
+}
+
+module.exports = {
+  createRunId,
+  openJournal,
+};
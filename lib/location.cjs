@@ -0,0 +1,202 @@
+const { findTag } = require("./capture-date.cjs");
+
+const DEFAULT_LOCATION = {
+  enabled: true,
+  // Places further than this from the nearest gazetteer town get no name
+  max_distance_km: 50,
+};
+
+// Tags phones write the recording location to, in ISO 6709 form
+const LOCATION_TAGS = [
+  "com.apple.quicktime.location.ISO6709",
+  "location",
+  "location-eng",
+];
+
+const EARTH_RADIUS_KM = 6371;
+
+function validateLocation(settings) {
+  const errors = [];
+  if (typeof settings.enabled !== "boolean") {
+    errors.push("location.enabled must be true or false");
+  }
+  if (
+    !Number.isFinite(settings.max_distance_km) ||
+    settings.max_distance_km <= 0
+  ) {
+    errors.push("location.max_distance_km must be a positive number");
+  }
+  return errors;
+}
+
+// One ISO 6709 coordinate: ±DD.D, ±DDMM.M or ±DDMMSS.S for latitude
+// (one more D for longitude) -> decimal degrees
+function parseCoordinate(text, degreeDigits) {
+  const sign = text[0] === "-" ? -1 : 1;
+  const [whole, fraction = ""] = text.slice(1).split(".");
+  const decimals = fraction ? Number(`0.${fraction}`) : 0;
+  const extra = whole.length - degreeDigits;
+  let value;
+  if (extra === 0) {
+    value = Number(whole) + decimals;
+  } else if (extra === 2) {
+    value =
+      Number(whole.slice(0, degreeDigits)) +
+      (Number(whole.slice(degreeDigits)) + decimals) / 60;
+  } else if (extra === 4) {
+    value =
+      Number(whole.slice(0, degreeDigits)) +
+      Number(whole.slice(degreeDigits, degreeDigits + 2)) / 60 +
+      (Number(whole.slice(degreeDigits + 2)) + decimals) / 3600;
+  } else {
+    return null;
+  }
+  return sign * value;
+}
+
+/**
+ * Parses an ISO 6709 location such as "+37.3318-122.0312+019.000/" into
+ * { latitude, longitude, altitude } (altitude in metres, or null)
+ */
+function parseIso6709(value) {
+  const match =
+    /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(
+      String(value || "").trim()
+    );
+  if (!match) return null;
+  const latitude = parseCoordinate(match[1], 2);
+  const longitude = parseCoordinate(match[2], 3);
+  if (
+    latitude === null ||
+    longitude === null ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+  return {
+    latitude,
+    longitude,
+    altitude: match[3] !== undefined ? Number(match[3]) : null,
+  };
+}
+
+function readCoordinates(probe) {
+  for (const tag of LOCATION_TAGS) {
+    const coordinates = parseIso6709(findTag(probe, tag));
+    if (coordinates) return coordinates;
+  }
+  return null;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// The GeoNames gazetteer (towns of 1000+ people) ships with the cities.json
+// package; it's loaded on first use since most runs never need it
+let gazetteer = null;
+function loadGazetteer() {
+  if (!gazetteer) {
+    const regions = new Map(
+      require("cities.json/admin1.json").map((region) => [
+        region.code,
+        region.name,
+      ])
+    );
+    gazetteer = {
+      regions,
+      countries: new Intl.DisplayNames(["en"], { type: "region" }),
+      cities: require("cities.json").map((city) => ({
+        name: city.name,
+        latitude: Number(city.lat),
+        longitude: Number(city.lng),
+        country: city.country,
+        admin1: city.admin1,
+      })),
+    };
+  }
+  return gazetteer;
+}
+
+/**
+ * Finds the nearest town in the bundled gazetteer, without any network
+ * lookup. Returns { city, region, country, country_code, distance_km,
+ * name: "Santa Cruz, California, United States" }, or null when nothing
+ * is within maxDistanceKm.
+ */
+function reverseGeocode({ latitude, longitude }, maxDistanceKm) {
+  const { cities, regions, countries } = loadGazetteer();
+
+  // Cheap equirectangular distance to find the nearest, then the real one
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  let nearest = null;
+  let nearestScore = Infinity;
+  for (const city of cities) {
+    const dLat = city.latitude - latitude;
+    let dLon = Math.abs(city.longitude - longitude);
+    if (dLon > 180) dLon = 360 - dLon;
+    const score = dLat * dLat + (dLon * cosLat) ** 2;
+    if (score < nearestScore) {
+      nearestScore = score;
+      nearest = city;
+    }
+  }
+  if (!nearest) return null;
+
+  const distance = distanceKm(
+    latitude,
+    longitude,
+    nearest.latitude,
+    nearest.longitude
+  );
+  if (distance > maxDistanceKm) return null;
+
+  const region = regions.get(`${nearest.country}.${nearest.admin1}`) || null;
+  let country = nearest.country;
+  try {
+    country = countries.of(nearest.country) || nearest.country;
+  } catch {
+    // Not a code Intl knows; keep the code itself
+  }
+  return {
+    city: nearest.name,
+    region,
+    country,
+    country_code: nearest.country,
+    distance_km: Math.round(distance * 10) / 10,
+    name: [nearest.name, region, country]
+      .filter((part, i, parts) => part && parts.indexOf(part) === i)
+      .join(", "),
+  };
+}
+
+/**
+ * Reads where a clip was filmed from its metadata and names the place.
+ * Returns { latitude, longitude, altitude, place } (place may be null),
+ * or null when the file has no location.
+ */
+function readLocation(probe, settings) {
+  const coordinates = readCoordinates(probe);
+  if (!coordinates) return null;
+  return {
+    ...coordinates,
+    place: reverseGeocode(coordinates, settings.max_distance_km),
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCATION,
+  validateLocation,
+  parseIso6709,
+  reverseGeocode,
+  readLocation,
+};
@@ -0,0 +1,137 @@
+const { findTag } = require("./capture-date.cjs");
+
+// Transfer functions used by HDR video: PQ (HDR10, Dolby Vision) and HLG
+const HDR_TRANSFERS = ["smpte2084", "arib-std-b67"];
+
+// Shorter side of the picture -> the name people use for it
+const RESOLUTION_LABELS = [
+  [4320, "8k"],
+  [2160, "4k"],
+  [1440, "1440p"],
+  [1080, "1080p"],
+  [720, "720p"],
+  [480, "480p"],
+];
+
+const toNumber = (value) =>
+  value === undefined || value === null || value === "" || isNaN(value)
+    ? null
+    : Number(value);
+
+// "30000/1001" -> 29.97
+function parseRate(rate) {
+  const [num, den] = String(rate || "")
+    .split("/")
+    .map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
+
+// Degrees clockwise the picture is turned when played: 0, 90, 180 or 270
+function readRotation(stream) {
+  const matrix = (stream.side_data_list || []).find(
+    (data) => data.rotation !== undefined
+  );
+  // The display matrix counts anticlockwise, the rotate tag clockwise
+  const degrees = matrix
+    ? -Number(matrix.rotation)
+    : Number((stream.tags || {}).rotate || 0);
+  return (((Math.round(degrees / 90) * 90) % 360) + 360) % 360;
+}
+
+function resolutionLabel(width, height) {
+  const shorter = Math.min(width, height);
+  const match = RESOLUTION_LABELS.find(([lines]) => shorter >= lines * 0.95);
+  return match ? match[1] : "sd";
+}
+
+function readCamera(probe) {
+  const make =
+    findTag(probe, "com.apple.quicktime.make") ||
+    findTag(probe, "com.android.manufacturer") ||
+    findTag(probe, "make");
+  const model =
+    findTag(probe, "com.apple.quicktime.model") ||
+    findTag(probe, "com.android.model") ||
+    findTag(probe, "model");
+  const software =
+    findTag(probe, "com.apple.quicktime.software") ||
+    findTag(probe, "com.android.version") ||
+    findTag(probe, "software");
+  return make || model || software
+    ? { make: make || null, model: model || null, software: software || null }
+    : null;
+}
+
+function videoProfile(stream) {
+  const rotation = readRotation(stream);
+  const turned = rotation === 90 || rotation === 270;
+  const width = turned ? stream.height : stream.width;
+  const height = turned ? stream.width : stream.height;
+  const dolbyVision = (stream.side_data_list || []).some((data) =>
+    /dovi|dolby vision/i.test(data.side_data_type || "")
+  );
+  const bitDepth =
+    toNumber(stream.bits_per_raw_sample) ||
+    (/1[02]le|1[02]be|p010/.test(stream.pix_fmt || "") ? 10 : 8);
+
+  return {
+    codec: stream.codec_name || null,
+    profile: stream.profile || null,
+    width,
+    height,
+    resolution: resolutionLabel(width, height),
+    frame_rate:
+      parseRate(stream.avg_frame_rate) || parseRate(stream.r_frame_rate),
+    rotation,
+    bit_depth: bitDepth,
+    pixel_format: stream.pix_fmt || null,
+    color_primaries: stream.color_primaries || null,
+    color_transfer: stream.color_transfer || null,
+    color_space: stream.color_space || null,
+    hdr: HDR_TRANSFERS.includes(stream.color_transfer) || dolbyVision,
+    dolby_vision: dolbyVision,
+    bit_rate: toNumber(stream.bit_rate),
+  };
+}
+
+function audioProfile(stream) {
+  return {
+    codec: stream.codec_name || null,
+    channels: toNumber(stream.channels),
+    channel_layout: stream.channel_layout || null,
+    sample_rate: toNumber(stream.sample_rate),
+    bit_rate: toNumber(stream.bit_rate),
+  };
+}
+
+/**
+ * Sums up what ffprobe reports about a file: container, size and bitrate,
+ * the first video and audio streams (codec, resolution, frame rate,
+ * rotation, HDR, channels...) and the camera that recorded it.
+ */
+function readMediaProfile(probe) {
+  const format = probe.format || {};
+  const streams = probe.streams || [];
+  const video = streams.find(
+    (stream) =>
+      stream.codec_type === "video" && !(stream.disposition || {}).attached_pic
+  );
+  const audio = streams.find((stream) => stream.codec_type === "audio");
+
+  return {
+    container: format.format_name || null,
+    brand: ((format.tags || {}).major_brand || "").trim() || null,
+    size_bytes: toNumber(format.size),
+    bit_rate: toNumber(format.bit_rate),
+    video: video ? videoProfile(video) : null,
+    audio: audio ? audioProfile(audio) : null,
+    camera: readCamera(probe),
+  };
+}
+
+module.exports = {
+  readMediaProfile,
+  readCamera,
+  resolutionLabel,
+};
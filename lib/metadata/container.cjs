@@ -0,0 +1,75 @@
+const fs = require("fs-extra");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+
+function remux(inputPath, outputPath, tags) {
+  return new Promise((resolve, reject) => {
+    const options = ["-map 0", "-c copy", "-map_metadata 0"];
+    for (const [key, value] of Object.entries(tags)) {
+      options.push("-metadata", `${key}=${value}`);
+    }
+    // Lets MOV/MP4 carry our own keys (e.g. "importance") as mdta tags
+    options.push("-movflags", "use_metadata_tags");
+
+    ffmpeg(inputPath)
+      .outputOptions(options)
+      .save(outputPath)
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+function containerTags(metadata) {
+  const tags = {};
+  if (metadata.description) tags.description = metadata.description;
+  if (metadata.comment) tags.comment = metadata.comment;
+  if (metadata.importance) {
+    tags.importance = String(metadata.importance.rating);
+    tags.importance_reason = metadata.importance.reason;
+  }
+  if (metadata.keywords && metadata.keywords.length > 0) {
+    tags.keywords = metadata.keywords.join(", ");
+  }
+  return tags;
+}
+
+/**
+ * Writes the summary into the MP4/MOV container's own tags by remuxing
+ * with stream copy: nothing is re-encoded, and the tags travel with the
+ * file to any OS. The new file replaces the original only once it's
+ * complete, and keeps the original's timestamps. Every track is kept; if
+ * one can't be copied (some phones' data tracks) the write fails and the
+ * original is left untouched rather than losing it.
+ */
+function createContainerWriter() {
+  return {
+    name: "container",
+    // Writing tags means replacing the whole file
+    rewritesFile: true,
+
+    async write(videoPath, metadata) {
+      const { dir, name, ext } = path.parse(videoPath);
+      const tempPath = path.join(dir, `.${name}.tagging${ext}`);
+      const tags = containerTags(metadata);
+      const stats = await fs.stat(videoPath);
+
+      try {
+        try {
+          await remux(videoPath, tempPath, tags);
+        } catch (error) {
+          throw new Error(
+            `couldn't copy every track (${error.message.trim()}); left the file unchanged, try the xmp or xattr writers instead`
+          );
+        }
+        await fs.utimes(tempPath, stats.atime, stats.mtime);
+        await fs.rename(tempPath, videoPath);
+      } finally {
+        await fs.remove(tempPath);
+      }
+
+      console.log(`✅ Container tags written: ${Object.keys(tags).join(", ")}`);
+    },
+  };
+}
+
+module.exports = { createContainerWriter };
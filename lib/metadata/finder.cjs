@@ -0,0 +1,54 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+
+/**
+ * Sets the macOS Finder comment through AppleScript. Only works on a Mac
+ * with Finder running.
+ */
+function createFinderWriter() {
+  return {
+    name: "finder",
+
+    async write(videoPath, metadata) {
+      console.log("💾 Setting Finder comment...");
+      const absolutePath = path.resolve(process.cwd(), videoPath);
+      const comment = metadata.comment || metadata.description || "";
+
+      // Write the AppleScript to a temporary file
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dusty-finder-"));
+      const tempScriptPath = path.join(tempDir, "_temp_script.scpt");
+      const cleanComment = comment
+        .replace(/[\\"']/g, "'") // Replace quotes with single quotes
+        .replace(/[\n\r\t]/g, " ") // Replace newlines and tabs with spaces
+        .replace(/\s+/g, " ") // Collapse multiple spaces
+        .trim();
+
+      const scriptContent = `tell application "Finder"
+  set theFile to (POSIX file "${absolutePath}") as alias
+  set comment of theFile to "${cleanComment}"
+end tell
+`;
+
+      try {
+        await fs.writeFile(tempScriptPath, scriptContent, "utf8");
+
+        // Execute the script file
+        execSync(`osascript "${tempScriptPath}"`);
+        console.log("✅ Comment set successfully");
+
+        // Verify the comment was set
+        const verifyScript = `tell application "Finder" to get comment of (POSIX file "${absolutePath}" as alias)`;
+        const result = execSync(`osascript -e '${verifyScript}'`)
+          .toString()
+          .trim();
+        console.log("📝 Verified comment length:", result.length, "characters");
+      } finally {
+        await fs.remove(tempDir);
+      }
+    },
+  };
+}
+
+module.exports = { createFinderWriter };
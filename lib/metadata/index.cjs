@@ -0,0 +1,65 @@
+const { createContainerWriter } = require("./container.cjs");
+const { createFinderWriter } = require("./finder.cjs");
+const { createXmpWriter } = require("./xmp.cjs");
+const { createXattrWriter } = require("./xattr.cjs");
+
+/**
+ * Metadata writers store a video's summary somewhere outside the catalog.
+ * Each exposes `write(videoPath, metadata)`, where metadata may hold:
+ *
+ *   description - full description of the clip
+ *   importance  - { rating, reason }
+ *   keywords    - list of subject keywords
+ *   comment     - human-readable one-block summary
+ */
+const WRITERS = {
+  container: createContainerWriter,
+  finder: createFinderWriter,
+  xmp: createXmpWriter,
+  xattr: createXattrWriter,
+};
+
+// Finder comments only exist on macOS, so only default to them there
+function defaultWriterNames() {
+  return process.platform === "darwin"
+    ? ["container", "finder"]
+    : ["container"];
+}
+
+function createMetadataWriters(names) {
+  return names.map((name) => {
+    const factory = WRITERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown metadata writer "${name}" (expected one of: ${Object.keys(
+          WRITERS
+        ).join(", ")})`
+      );
+    }
+    return factory();
+  });
+}
+
+/**
+ * Runs every writer in turn. A failing writer is logged and skipped so one
+ * missing tool doesn't stop the others.
+ */
+async function writeMetadata(writers, videoPath, metadata) {
+  for (const writer of writers) {
+    try {
+      await writer.write(videoPath, metadata);
+    } catch (error) {
+      console.error(
+        `❌ Failed to write ${writer.name} metadata:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = {
+  WRITERS,
+  defaultWriterNames,
+  createMetadataWriters,
+  writeMetadata,
+};
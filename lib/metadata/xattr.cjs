@@ -0,0 +1,42 @@
+const { execFileSync } = require("child_process");
+
+// The Linux tool needs the attr package; macOS ships its own xattr command.
+// setfattr reads values starting with 0x or 0s as hex or base64, so the
+// value always goes over as base64 rather than as text
+function setAttribute(filePath, name, value) {
+  if (process.platform === "darwin") {
+    execFileSync("xattr", ["-w", name, value, filePath]);
+  } else {
+    const encoded = `0s${Buffer.from(value, "utf8").toString("base64")}`;
+    execFileSync("setfattr", ["-n", name, "-v", encoded, filePath]);
+  }
+}
+
+/**
+ * Sets the freedesktop.org extended attributes that Linux file managers
+ * show: user.xdg.comment (the summary) and user.xdg.tags (the keywords,
+ * comma separated). The filesystem has to support user xattrs.
+ */
+function createXattrWriter() {
+  return {
+    name: "xattr",
+
+    async write(videoPath, metadata) {
+      const comment = metadata.comment || metadata.description;
+      const written = [];
+
+      if (comment) {
+        setAttribute(videoPath, "user.xdg.comment", comment);
+        written.push("user.xdg.comment");
+      }
+      if (metadata.keywords && metadata.keywords.length > 0) {
+        setAttribute(videoPath, "user.xdg.tags", metadata.keywords.join(","));
+        written.push("user.xdg.tags");
+      }
+
+      console.log(`✅ Extended attributes set: ${written.join(", ")}`);
+    },
+  };
+}
+
+module.exports = { createXattrWriter };
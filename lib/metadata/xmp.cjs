@@ -0,0 +1,85 @@
+const fs = require("fs-extra");
+
+// Importance runs 1 (must keep) to 9 (can delete); XMP ratings run 1-5 stars
+const IMPORTANCE_TO_RATING = {
+  1: 5,
+  2: 5,
+  3: 4,
+  4: 4,
+  5: 3,
+  6: 3,
+  7: 2,
+  8: 1,
+  9: 1,
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function buildXmp(metadata) {
+  const properties = [];
+
+  const description = metadata.description || metadata.comment;
+  if (description) {
+    properties.push(`   <dc:description>
+    <rdf:Alt>
+     <rdf:li xml:lang="x-default">${escapeXml(description)}</rdf:li>
+    </rdf:Alt>
+   </dc:description>`);
+  }
+  if (metadata.keywords && metadata.keywords.length > 0) {
+    const items = metadata.keywords
+      .map((keyword) => `     <rdf:li>${escapeXml(keyword)}</rdf:li>`)
+      .join("\n");
+    properties.push(`   <dc:subject>
+    <rdf:Bag>
+${items}
+    </rdf:Bag>
+   </dc:subject>`);
+  }
+
+  const rating = metadata.importance
+    ? IMPORTANCE_TO_RATING[metadata.importance.rating]
+    : undefined;
+
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"${
+      rating !== undefined ? `\n    xmp:Rating="${rating}"` : ""
+    }
+    xmp:MetadataDate="${new Date().toISOString()}">
+${properties.join("\n")}
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+}
+
+/**
+ * Writes an XMP sidecar next to the video (clip.mov -> clip.mov.xmp, the
+ * naming digiKam and darktable look for) with dc:description, dc:subject
+ * keywords and an xmp:Rating mapped from the importance.
+ */
+function createXmpWriter() {
+  return {
+    name: "xmp",
+
+    async write(videoPath, metadata) {
+      const sidecarPath = `${videoPath}.xmp`;
+      await fs.writeFile(sidecarPath, buildXmp(metadata), "utf8");
+      console.log(`✅ XMP sidecar written: ${sidecarPath}`);
+    },
+  };
+}
+
+module.exports = { createXmpWriter, buildXmp, IMPORTANCE_TO_RATING };
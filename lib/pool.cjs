@@ -0,0 +1,69 @@
+/**
+ * Returns a function that runs async tasks with at most `concurrency` of
+ * them in flight; the rest wait their turn in order.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Runs `worker(item, index)` over every item with a fixed number of workers.
+ * One failing item doesn't stop the others; failures are collected and
+ * returned as [{ item, error }].
+ */
+async function runPool(items, concurrency, worker) {
+  const failures = [];
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        await worker(items[index], index);
+      } catch (error) {
+        failures.push({ item: items[index], error });
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return failures;
+}
+
+/**
+ * Wraps a provider (or transcriber) so its calls share a limiter
+ */
+function limitCalls(target, limit, methods) {
+  const wrapped = { ...target };
+  for (const method of methods) {
+    if (typeof target[method] === "function") {
+      wrapped[method] = (...callArgs) =>
+        limit(() => target[method](...callArgs));
+    }
+  }
+  return wrapped;
+}
+
+module.exports = { createLimiter, runPool, limitCalls };
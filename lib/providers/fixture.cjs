@@ -0,0 +1,50 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+/**
+ * Offline provider that answers every call from canned files.
+ * Responses are looked up by stage name, e.g. fixtures/importance.txt,
+ * so the same inputs always produce the same pipeline output.
+ * Transcriptions may be a .json file with timestamped segments instead.
+ */
+function createFixtureProvider(options = {}) {
+  const fixturesDir = path.resolve(
+    options.fixturesDir || path.join(__dirname, "..", "..", "fixtures")
+  );
+
+  async function readFixture(stage) {
+    const fixturePath = path.join(fixturesDir, `${stage}.txt`);
+    if (!(await fs.pathExists(fixturePath))) {
+      throw new Error(`No fixture for stage "${stage}" at ${fixturePath}`);
+    }
+    console.log(`🧪 Using fixture response: ${path.basename(fixturePath)}`);
+    return fs.readFile(fixturePath, "utf8");
+  }
+
+  return {
+    name: "fixture",
+
+    async chat({ stage }) {
+      return readFixture(stage);
+    },
+
+    async vision({ stage, imagePath }) {
+      // Still touch the image so a missing frame fails like it would online
+      await fs.access(imagePath);
+      return readFixture(stage);
+    },
+
+    async transcribe({ stage, audioPath }) {
+      await fs.access(audioPath);
+      const jsonPath = path.join(fixturesDir, `${stage}.json`);
+      if (await fs.pathExists(jsonPath)) {
+        console.log(`🧪 Using fixture response: ${path.basename(jsonPath)}`);
+        const { text, segments = [] } = await fs.readJson(jsonPath);
+        return { text: text.trim(), segments };
+      }
+      return { text: (await readFixture(stage)).trim(), segments: [] };
+    },
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,32 @@
+const { createOpenAIProvider } = require("./openai.cjs");
+const { createFixtureProvider } = require("./fixture.cjs");
+
+/**
+ * AI providers all expose the same three calls, each taking a request
+ * object tagged with the pipeline `stage` that made it plus that stage's
+ * settings from the config (model, max_tokens, temperature, base_url):
+ *
+ *   chat({ stage, prompt, model, ... })            -> text
+ *   vision({ stage, prompt, imagePath, model, ... }) -> text
+ *   transcribe({ stage, audioPath, model, ... })   -> { text, segments }
+ *
+ * Transcript segments are `{ start, end, text }` with times in seconds.
+ */
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider,
+};
+
+function createProvider(name, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}" (expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return factory(options);
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,100 @@
+const fs = require("fs-extra");
+const OpenAI = require("openai");
+
+// Pull the text out of a chat completion, failing loudly on odd responses
+function firstChoiceText(response) {
+  if (!response.choices || response.choices.length === 0) {
+    console.error(
+      "❌ Unexpected response from OpenAI:",
+      JSON.stringify(response, null, 2)
+    );
+    throw new Error("OpenAI response did not contain expected choices");
+  }
+  return response.choices[0].message.content;
+}
+
+/**
+ * Provider backed by the OpenAI API. Requests may carry a `base_url` to talk
+ * to any OpenAI-compatible endpoint; one client is kept per URL.
+ */
+function createOpenAIProvider(options = {}) {
+  const clients = new Map();
+
+  function clientFor(baseURL) {
+    const key = baseURL || "";
+    if (!clients.has(key)) {
+      clients.set(
+        key,
+        new OpenAI({
+          apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+          ...(baseURL ? { baseURL } : {}),
+        })
+      );
+    }
+    return clients.get(key);
+  }
+
+  return {
+    name: "openai",
+
+    async chat({ prompt, model, max_tokens, temperature, base_url }) {
+      const response = await clientFor(base_url).chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens,
+        temperature,
+      });
+      return firstChoiceText(response);
+    },
+
+    async vision({
+      prompt,
+      imagePath,
+      model,
+      max_tokens,
+      temperature,
+      base_url,
+    }) {
+      const imageData = await fs.readFile(imagePath, { encoding: "base64" });
+      const response = await clientFor(base_url).chat.completions.create({
+        model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              {
+                type: "image_url",
+                image_url: { url: `data:image/jpeg;base64,${imageData}` },
+              },
+            ],
+          },
+        ],
+        max_tokens,
+        temperature,
+      });
+      return firstChoiceText(response);
+    },
+
+    async transcribe({ audioPath, model, base_url }) {
+      const transcription = await clientFor(
+        base_url
+      ).audio.transcriptions.create({
+        file: fs.createReadStream(audioPath),
+        model,
+        response_format: "verbose_json",
+        timestamp_granularities: ["segment"],
+      });
+      return {
+        text: transcription.text,
+        segments: (transcription.segments || []).map((segment) => ({
+          start: segment.start,
+          end: segment.end,
+          text: segment.text.trim(),
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
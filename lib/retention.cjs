@@ -0,0 +1,118 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { sidecarPaths } = require("./sidecars.cjs");
+
+const DEFAULT_RETENTION = {
+  // Videos rated at least this (8-9 means "can delete") ...
+  min_importance: 8,
+  // ... and older than this are quarantined
+  older_than_days: 90,
+  // Age counts from when the video was "filmed" or "processed"
+  age_from: "filmed",
+  // Quarantine folder, relative to the catalog folder
+  folder: "quarantine",
+  // Videos are only purged after this long in quarantine
+  purge_after_days: 30,
+};
+
+const AGE_FROM = ["filmed", "processed"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validateRetention(settings) {
+  const errors = [];
+  if (
+    !Number.isInteger(settings.min_importance) ||
+    settings.min_importance < 1 ||
+    settings.min_importance > 9
+  ) {
+    errors.push("retention.min_importance must be a whole number from 1-9");
+  }
+  for (const key of ["older_than_days", "purge_after_days"]) {
+    if (!Number.isFinite(settings[key]) || settings[key] < 0) {
+      errors.push(`retention.${key} must be a number of days, 0 or more`);
+    }
+  }
+  if (!AGE_FROM.includes(settings.age_from)) {
+    errors.push(`retention.age_from must be one of ${AGE_FROM.join(", ")}`);
+  }
+  if (typeof settings.folder !== "string" || !settings.folder.trim()) {
+    errors.push("retention.folder must be a folder name");
+  }
+  return errors;
+}
+
+// Whole days between an ISO timestamp and now, or null without one
+function daysSince(timestamp, now) {
+  const time = timestamp ? Date.parse(timestamp) : NaN;
+  return Number.isNaN(time) ? null : Math.floor((now - time) / DAY_MS);
+}
+
+// How old a video is for the policy: from filming (falling back to when it
+// was processed, for entries without a capture date) or from processing
+function videoAge(entry, settings, now = Date.now()) {
+  const filmed =
+    settings.age_from === "filmed" ? daysSince(entry.captured_at, now) : null;
+  return filmed !== null ? filmed : daysSince(entry.processed_at, now);
+}
+
+/**
+ * Catalog entries the policy says can go: rated min_importance or higher,
+ * older than older_than_days, and not already in quarantine.
+ */
+function selectExpired(entries, settings, now = Date.now()) {
+  return entries.filter((entry) => {
+    if (entry.quarantined) return false;
+    if (!entry.importance || entry.importance.rating < settings.min_importance)
+      return false;
+    const age = videoAge(entry, settings, now);
+    return age !== null && age > settings.older_than_days;
+  });
+}
+
+// Quarantined entries that have sat there at least purge_after_days
+function selectPurgeable(entries, settings, now = Date.now()) {
+  return entries.filter(
+    (entry) =>
+      entry.quarantined &&
+      daysSince(entry.quarantined.at, now) >= settings.purge_after_days
+  );
+}
+
+/**
+ * Where a video goes in quarantine: the same path relative to the catalog
+ * folder (just the file name for videos kept elsewhere), with a number
+ * added if something's already there.
+ */
+async function quarantinePath(videoPath, catalogDir, settings) {
+  const root = path.resolve(catalogDir, settings.folder);
+  const relative = path.relative(catalogDir, videoPath);
+  const inside = !relative.startsWith("..") && !path.isAbsolute(relative);
+  const target = path.join(root, inside ? relative : path.basename(videoPath));
+
+  const { dir, name, ext } = path.parse(target);
+  let candidate = target;
+  for (let n = 2; await fs.pathExists(candidate); n++) {
+    candidate = path.join(dir, `${name}-${n}${ext}`);
+  }
+  return candidate;
+}
+
+// Bytes taken up by a video and its sidecars
+async function footprint(videoPath) {
+  let total = 0;
+  for (const filePath of [videoPath, ...sidecarPaths(videoPath)]) {
+    if (await fs.pathExists(filePath)) total += (await fs.stat(filePath)).size;
+  }
+  return total;
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  validateRetention,
+  daysSince,
+  videoAge,
+  selectExpired,
+  selectPurgeable,
+  quarantinePath,
+  footprint,
+};
@@ -0,0 +1,96 @@
+const ffmpeg = require("fluent-ffmpeg");
+
+// Seconds kept clear of the end: a screenshot at the very end has no frame
+const END_MARGIN = 0.1;
+
+/**
+ * Scores how different each frame is from the one before it using ffmpeg's
+ * scene filter. Frames are sampled at a few per second on a small copy of
+ * the picture to keep this cheap; only scores above `minScore` are kept.
+ * Returns [{ time, score }] in playback order.
+ */
+function detectSceneScores(videoPath, options = {}) {
+  const fps = options.fps || 4;
+  const minScore = options.minScore !== undefined ? options.minScore : 0.05;
+
+  return new Promise((resolve, reject) => {
+    const scores = [];
+    let currentTime = null;
+
+    ffmpeg(videoPath)
+      .noAudio()
+      .videoFilters([
+        `fps=${fps}`,
+        "scale=160:-2",
+        "select='gte(scene,0)'",
+        "metadata=print:key=lavfi.scene_score",
+      ])
+      .format("null")
+      .output("-")
+      .on("stderr", (line) => {
+        const timeMatch = line.match(/pts_time:([\d.]+)/);
+        const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+        if (timeMatch) {
+          currentTime = parseFloat(timeMatch[1]);
+        } else if (scoreMatch && currentTime !== null) {
+          const score = parseFloat(scoreMatch[1]);
+          if (score >= minScore) {
+            scores.push({ time: currentTime, score: Number(score.toFixed(3)) });
+          }
+          currentTime = null;
+        }
+      })
+      .on("end", () => resolve(scores))
+      .on("error", reject)
+      .run();
+  });
+}
+
+// Evenly spaced times that stay clear of the very start and end
+function uniformTimes(duration, count) {
+  return Array.from(
+    { length: count },
+    (_, i) => ((i + 0.5) * duration) / count
+  );
+}
+
+/**
+ * Picks `count` frame times, preferring the biggest scene changes and
+ * keeping picks (and any `exclude` times) at least a fair share of the
+ * clip apart. Static footage with too few changes above `threshold` is
+ * topped up with evenly spaced frames.
+ */
+function pickSceneFrames(scores, count, duration, options = {}) {
+  const threshold = options.threshold !== undefined ? options.threshold : 0.3;
+  const exclude = (options.exclude || []).filter(Number.isFinite);
+  const minGap = duration / (count + exclude.length + 1) / 2;
+
+  const picked = [];
+  const isClear = (time) =>
+    [...picked, ...exclude].every((other) => Math.abs(other - time) >= minGap);
+
+  const candidates = scores
+    .filter((entry) => entry.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+  for (const { time } of candidates) {
+    if (picked.length >= count) break;
+    // Nudge past the cut itself so the frame shows the new shot settled
+    const settled = Math.max(0, Math.min(time + 0.25, duration - END_MARGIN));
+    if (isClear(settled)) picked.push(settled);
+  }
+
+  const fromScenes = picked.length;
+  for (const time of uniformTimes(duration, count)) {
+    if (picked.length >= count) break;
+    if (isClear(time)) picked.push(time);
+  }
+  // Very short clips may not have room for the gap; fill regardless
+  for (const time of uniformTimes(duration, count)) {
+    if (picked.length >= count) break;
+    if (!picked.includes(time)) picked.push(time);
+  }
+
+  return { times: picked.sort((a, b) => a - b), fromScenes };
+}
+
+module.exports = { detectSceneScores, pickSceneFrames };
@@ -0,0 +1,171 @@
+const path = require("path");
+const { parseQuery } = require("./text-index.cjs");
+
+// Names people use for a codec -> the name ffprobe reports
+const CODEC_ALIASES = { h265: "hevc", x265: "hevc", avc: "h264", x264: "h264" };
+
+/**
+ * Parses a range argument: "3-7", "3-" (at least 3), "-7" (at most 7) or
+ * "5" (exactly 5). Returns { min, max } with null for an open end.
+ */
+function parseRange(value, name) {
+  const match = /^([\d.]*)(-?)([\d.]*)$/.exec(value || "");
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error(
+      `${name} should look like 3-7, 3-, -7 or 5, got "${value}"`
+    );
+  }
+  const [, low, dash, high] = match;
+  const min = low ? Number(low) : null;
+  const max = dash ? (high ? Number(high) : null) : min;
+  if (Number.isNaN(min) || Number.isNaN(max)) {
+    throw new Error(`${name} has an invalid number: "${value}"`);
+  }
+  return { min, max };
+}
+
+// A bare date covers that whole day, so --until=2025-03-31 includes the 31st
+function parseDate(value, name, endOfDay = false) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} should be a date like 2025-03-31, got "${value}"`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+// Capture times are compared as local wall-clock time where the clip was
+// filmed, so --filmed-since=2024-07-14 means that day wherever it was
+function parseLocalDate(value, name, endOfDay = false) {
+  const match = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}(?::\d{2})?))?$/.exec(
+    value || ""
+  );
+  if (!match || Number.isNaN(Date.parse(`${match[1]}T00:00:00Z`))) {
+    throw new Error(
+      `${name} should be a date like 2024-07-14 or 2024-07-14T15:30, got "${value}"`
+    );
+  }
+  const time = match[2] || (endOfDay ? "23:59:59" : "00:00:00");
+  return `${match[1]}T${time.length === 5 ? `${time}:00` : time}`;
+}
+
+function normalizeCodec(codec) {
+  const name = String(codec || "")
+    .toLowerCase()
+    .replace(/[.\s]/g, "");
+  return CODEC_ALIASES[name] || name;
+}
+
+function inRange(value, range) {
+  if (!range) return true;
+  if (typeof value !== "number") return false;
+  return (
+    (range.min === null || value >= range.min) &&
+    (range.max === null || value <= range.max)
+  );
+}
+
+// Where a catalog entry's video lives; entries from before paths were
+// recorded sit next to the catalog they came from
+function entryPath(entry, catalogDir) {
+  return entry.path || path.resolve(catalogDir, entry.filename);
+}
+
+/**
+ * Checks an entry against the filters: importance and duration ranges,
+ * processed date (since/until), capture date (filmedSince/filmedUntil),
+ * original name substring, folder, and the media profile (video codec,
+ * resolution label, HDR, camera make/model substring). Entries processed
+ * before media profiles were recorded never match a media filter.
+ */
+function matchesFilters(entry, filters, catalogDir) {
+  if (!inRange(entry.importance && entry.importance.rating, filters.importance))
+    return false;
+  if (!inRange(entry.duration_seconds, filters.duration)) return false;
+
+  if (filters.since || filters.until) {
+    const processed = entry.processed_at && new Date(entry.processed_at);
+    if (!processed) return false;
+    if (filters.since && processed < filters.since) return false;
+    if (filters.until && processed > filters.until) return false;
+  }
+
+  if (filters.filmedSince || filters.filmedUntil) {
+    const filmed = entry.captured_at && entry.captured_at.slice(0, 19);
+    if (!filmed) return false;
+    if (filters.filmedSince && filmed < filters.filmedSince) return false;
+    if (filters.filmedUntil && filmed > filters.filmedUntil) return false;
+  }
+
+  if (filters.name) {
+    const name = (entry.original_name || entry.filename || "").toLowerCase();
+    if (!name.includes(filters.name.toLowerCase())) return false;
+  }
+
+  if (filters.folder) {
+    const folder = path.resolve(filters.folder);
+    const dir = path.dirname(entryPath(entry, catalogDir));
+    if (dir !== folder && !dir.startsWith(folder + path.sep)) return false;
+  }
+
+  const video = (entry.media && entry.media.video) || {};
+  const codec = filters.codec && normalizeCodec(filters.codec);
+  if (codec && normalizeCodec(video.codec) !== codec) return false;
+  const resolution = filters.resolution && filters.resolution.toLowerCase();
+  if (resolution && video.resolution !== resolution) return false;
+  if (filters.hdr && !video.hdr) return false;
+
+  if (filters.camera) {
+    const camera = (entry.media && entry.media.camera) || {};
+    const name = [camera.make, camera.model].join(" ").toLowerCase();
+    if (!name.includes(filters.camera.toLowerCase())) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Searches catalog entries. A query goes to the full-text index (see
+ * lib/text-index.cjs), which finds entries containing every word and
+ * quoted phrase and ranks them; the filters then narrow those down.
+ * Without a query, filtered entries are listed most important first.
+ * Returns [{ entry, path, score }].
+ */
+function searchCatalog(
+  entries,
+  { query = "", filters = {}, catalogDir, index }
+) {
+  const hasQuery = parseQuery(query).terms.length > 0;
+  const scores = new Map(
+    hasQuery ? index.search(query).map(({ id, score }) => [id, score]) : []
+  );
+
+  const results = [];
+  for (const entry of entries) {
+    if (hasQuery && !scores.has(entry.id)) continue;
+    if (!matchesFilters(entry, filters, catalogDir)) continue;
+    results.push({
+      entry,
+      path: entryPath(entry, catalogDir),
+      score: scores.get(entry.id) || 0,
+    });
+  }
+
+  return results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.entry.importance.rating - b.entry.importance.rating ||
+      String(b.entry.processed_at).localeCompare(String(a.entry.processed_at))
+  );
+}
+
+module.exports = {
+  parseRange,
+  parseDate,
+  parseLocalDate,
+  entryPath,
+  searchCatalog,
+};
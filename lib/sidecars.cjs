@@ -0,0 +1,45 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { CAPTION_FORMATS } = require("./captions.cjs");
+
+// "beside" writes clip.contact.png next to clip.mov; "thumbnails" writes
+// thumbnails/clip.png in the video's folder
+const CONTACT_SHEET_LOCATIONS = ["beside", "thumbnails"];
+
+function contactSheetPath(videoPath, location) {
+  const { dir, name } = path.parse(videoPath);
+  return location === "thumbnails"
+    ? path.join(dir, "thumbnails", `${name}.png`)
+    : path.join(dir, `${name}.contact.png`);
+}
+
+// Files written alongside a video (XMP, captions, contact sheets) that have
+// to follow it when it's renamed
+function sidecarPaths(videoPath) {
+  const { dir, name } = path.parse(videoPath);
+  return [
+    `${videoPath}.xmp`,
+    ...CAPTION_FORMATS.map((format) => path.join(dir, `${name}.${format}`)),
+    ...CONTACT_SHEET_LOCATIONS.map((location) =>
+      contactSheetPath(videoPath, location)
+    ),
+  ];
+}
+
+// The sidecars that exist for `fromVideo`, paired with where they go when
+// the video becomes `toVideo`: [{ from, to }]
+async function sidecarMoves(fromVideo, toVideo) {
+  const targets = sidecarPaths(toVideo);
+  const moves = [];
+  for (const [i, from] of sidecarPaths(fromVideo).entries()) {
+    if (await fs.pathExists(from)) moves.push({ from, to: targets[i] });
+  }
+  return moves;
+}
+
+module.exports = {
+  CONTACT_SHEET_LOCATIONS,
+  contactSheetPath,
+  sidecarPaths,
+  sidecarMoves,
+};
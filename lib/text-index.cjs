@@ -0,0 +1,406 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { writeFileAtomic } = require("./catalog.cjs");
+const { createLimiter } = require("./pool.cjs");
+
+const INDEX_FILE = path.join(".dusty", "index.json");
+const INDEX_VERSION = 1;
+// BM25 parameters: term frequency saturation and length normalisation
+const K1 = 1.2;
+const B = 0.75;
+// Gap left in token positions between fields so phrases can't span them
+const FIELD_GAP = 10;
+
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/), so "running",
+// "runs" and "run" land on the same index term
+const CONSONANT = "[^aeiou]";
+const VOWEL = "[aeiouy]";
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(
+  `^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`
+);
+const MEASURE_GT_1 = new RegExp(
+  `^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`
+);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: "ate",
+  tional: "tion",
+  enci: "ence",
+  anci: "ance",
+  izer: "ize",
+  bli: "ble",
+  alli: "al",
+  entli: "ent",
+  eli: "e",
+  ousli: "ous",
+  ization: "ize",
+  ation: "ate",
+  ator: "ate",
+  alism: "al",
+  iveness: "ive",
+  fulness: "ful",
+  ousness: "ous",
+  aliti: "al",
+  iviti: "ive",
+  biliti: "ble",
+  logi: "log",
+};
+const STEP3_SUFFIXES = {
+  icate: "ic",
+  ative: "",
+  alize: "al",
+  iciti: "ic",
+  ical: "ic",
+  ful: "",
+  ness: "",
+};
+const STEP2 = new RegExp(`^(.+?)(${Object.keys(STEP2_SUFFIXES).join("|")})$`);
+const STEP3 = new RegExp(`^(.+?)(${Object.keys(STEP3_SUFFIXES).join("|")})$`);
+const STEP4 =
+  /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  const initialY = word[0] === "y";
+  let w = initialY ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    if (HAS_VOWEL.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) w += "e";
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (ENDS_CVC.test(w)) w += "e";
+    }
+  }
+
+  // Step 1c: -y to -i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Steps 2 and 3: map double suffixes to single ones
+  if ((match = STEP2.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+  if ((match = STEP3.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: strip suffixes from longer stems
+  if ((match = STEP4.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: tidy up a final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (
+      MEASURE_GT_1.test(base) ||
+      (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))
+    ) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return initialY ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Splits text into index terms, keeping where each word sits in the
+ * original text for snippets: [{ term, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || "").matchAll(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu)) {
+    const word = match[0].toLowerCase().replace(/'s$/, "").replace(/'/g, "");
+    tokens.push({
+      term: stem(word),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+}
+
+// The searchable fields of a catalog entry, in the order they're indexed
+function documentFields(entry) {
+  return [
+    entry.description,
+    ...(entry.additional_descriptions || []),
+    entry.transcript,
+  ].filter(Boolean);
+}
+
+// Changes whenever an entry is reprocessed, so sync() knows to reindex it
+function signature(entry) {
+  return `${entry.processed_at}:${documentFields(entry).join("\n").length}`;
+}
+
+/**
+ * Parses a query into terms and quoted phrases:
+ * 'dog "birthday cake"' -> { terms: ["dog", "birthdai", "cake"],
+ * phrases: [["birthdai", "cake"]] }. Every term has to be in a result.
+ */
+function parseQuery(query) {
+  const phrases = [];
+  const terms = new Set();
+  for (const match of (query || "").matchAll(/"([^"]*)"|[^\s"]+/g)) {
+    const words = tokenize(match[1] !== undefined ? match[1] : match[0]).map(
+      (token) => token.term
+    );
+    words.forEach((term) => terms.add(term));
+    if (match[1] !== undefined && words.length > 1) phrases.push(words);
+  }
+  return { terms: [...terms], phrases };
+}
+
+// Maps keyed by terms and IDs have no prototype, so a word like
+// "constructor" can't land on Object.prototype's
+const createMap = (entries = {}) => Object.assign(Object.create(null), entries);
+
+function containsPhrase(postings, id, phrase) {
+  const lists = phrase.map((term) => new Set((postings[term] || {})[id]));
+  const [first] = phrase;
+  return ((postings[first] || {})[id] || []).some((start) =>
+    lists.every((positions, i) => positions.has(start + i))
+  );
+}
+
+/**
+ * Picks the stretch of `text` with the most query matches and marks the
+ * matching words with `highlight`, e.g. "…kids blowing out the **birthday**
+ * **cake** in the…"
+ */
+function makeSnippet(text, query, highlight, width = 24) {
+  const tokens = tokenize(text);
+  const { terms } = parseQuery(query);
+  const wanted = new Set(terms);
+  const hits = tokens.map((token) => wanted.has(token.term));
+  if (tokens.length === 0) return "";
+
+  let bestStart = 0;
+  let bestCount = -1;
+  let count = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    if (hits[i]) count++;
+    if (i >= width && hits[i - width]) count--;
+    if (count > bestCount) {
+      bestCount = count;
+      bestStart = Math.max(0, i - width + 1);
+    }
+  }
+  // Lead in with a few words of context before the first match
+  const firstHit = hits.indexOf(true, bestStart);
+  if (firstHit !== -1) bestStart = Math.max(0, firstHit - 4);
+  const end = Math.min(tokens.length, bestStart + width);
+
+  let snippet = "";
+  let cursor = tokens[bestStart].start;
+  for (let i = bestStart; i < end; i++) {
+    const token = tokens[i];
+    snippet += text.slice(cursor, token.start);
+    const word = text.slice(token.start, token.end);
+    snippet += hits[i] ? highlight(word) : word;
+    cursor = token.end;
+  }
+  snippet = snippet.replace(/\s+/g, " ").trim();
+  return `${bestStart > 0 ? "…" : ""}${snippet}${
+    end < tokens.length ? "…" : ""
+  }`;
+}
+
+/**
+ * Opens the full-text index for a catalog folder, kept at
+ * .dusty/index.json. It maps stemmed terms to the entries and word
+ * positions they occur at, and ranks matches with BM25 over each entry's
+ * description, additional scene descriptions and transcript.
+ *
+ * update() indexes one entry as it's written to the catalog; sync() brings
+ * the whole index in line with the catalog, e.g. the first time it's used.
+ * With `readOnly` those changes stay in memory and the file is never
+ * written, so searching doesn't touch the catalog folder.
+ */
+async function openTextIndex(
+  catalogDir,
+  { log = console.log, readOnly = false } = {}
+) {
+  const indexPath = path.join(catalogDir, INDEX_FILE);
+  let data = {
+    version: INDEX_VERSION,
+    docs: createMap(),
+    postings: createMap(),
+    totalLength: 0,
+  };
+
+  try {
+    if (await fs.pathExists(indexPath)) {
+      const saved = await fs.readJson(indexPath);
+      if (saved.version === INDEX_VERSION) {
+        data = {
+          ...saved,
+          docs: createMap(saved.docs),
+          postings: createMap(),
+        };
+        for (const [term, posting] of Object.entries(saved.postings)) {
+          data.postings[term] = createMap(posting);
+        }
+      }
+    }
+  } catch (error) {
+    log(`⚠️  Could not read ${indexPath}, rebuilding it`);
+  }
+
+  function removeDoc(id) {
+    const doc = data.docs[id];
+    if (!doc) return false;
+    for (const term of Object.keys(data.postings)) {
+      const posting = data.postings[term];
+      if (posting[id]) {
+        delete posting[id];
+        if (Object.keys(posting).length === 0) delete data.postings[term];
+      }
+    }
+    data.totalLength -= doc.length;
+    delete data.docs[id];
+    return true;
+  }
+
+  function addDoc(entry) {
+    removeDoc(entry.id);
+    let position = 0;
+    for (const field of documentFields(entry)) {
+      for (const { term } of tokenize(field)) {
+        const posting =
+          data.postings[term] || (data.postings[term] = createMap());
+        (posting[entry.id] || (posting[entry.id] = [])).push(position++);
+      }
+      position += FIELD_GAP;
+    }
+    const length = Math.max(0, position - FIELD_GAP);
+    data.docs[entry.id] = { length, signature: signature(entry) };
+    data.totalLength += length;
+  }
+
+  // Jobs finishing together share one temp file, so saves take turns
+  const saveLimit = createLimiter(1);
+  function save() {
+    if (readOnly) return Promise.resolve();
+    return saveLimit(async () => {
+      await fs.ensureDir(path.dirname(indexPath));
+      await writeFileAtomic(indexPath, JSON.stringify(data));
+    });
+  }
+
+  return {
+    async update(entry, removedIds = []) {
+      removedIds.forEach(removeDoc);
+      addDoc(entry);
+      await save();
+    },
+
+    async remove(id) {
+      if (removeDoc(id)) await save();
+    },
+
+    /**
+     * Indexes catalog entries that are missing or have changed since they
+     * were indexed, and drops ones no longer in the catalog
+     */
+    async sync(entries) {
+      const ids = new Set(entries.map((entry) => entry.id));
+      const stale = Object.keys(data.docs).filter((id) => !ids.has(id));
+      const changed = entries.filter(
+        (entry) =>
+          !data.docs[entry.id] ||
+          data.docs[entry.id].signature !== signature(entry)
+      );
+      if (stale.length === 0 && changed.length === 0) return;
+
+      if (!readOnly) {
+        log(`🗂️  Updating search index: ${changed.length} videos to index`);
+      }
+      stale.forEach(removeDoc);
+      changed.forEach(addDoc);
+      await save();
+    },
+
+    /**
+     * Returns [{ id, score }] for entries containing every query term and
+     * phrase, best BM25 score first
+     */
+    search(query) {
+      const { terms, phrases } = parseQuery(query);
+      if (terms.length === 0) return [];
+
+      const docCount = Object.keys(data.docs).length;
+      const avgLength = data.totalLength / Math.max(1, docCount);
+      const postingsFor = terms.map((term) => data.postings[term] || {});
+
+      const candidates = Object.keys(postingsFor[0]).filter(
+        (id) =>
+          postingsFor.every((posting) => posting[id]) &&
+          phrases.every((phrase) => containsPhrase(data.postings, id, phrase))
+      );
+
+      return candidates
+        .map((id) => {
+          const { length } = data.docs[id];
+          const score = postingsFor.reduce((sum, posting) => {
+            const docFreq = Object.keys(posting).length;
+            const idf = Math.log(
+              1 + (docCount - docFreq + 0.5) / (docFreq + 0.5)
+            );
+            const tf = posting[id].length;
+            return (
+              sum +
+              (idf * tf * (K1 + 1)) /
+                (tf + K1 * (1 - B + (B * length) / avgLength))
+            );
+          }, 0);
+          return { id, score };
+        })
+        .sort((a, b) => b.score - a.score);
+    },
+
+    // Best-matching excerpt of an entry for a query; see makeSnippet
+    snippet(entry, query, highlight) {
+      const fields = documentFields(entry);
+      const { terms } = parseQuery(query);
+      // Prefer the field with the most matches, e.g. the transcript when
+      // the words were spoken rather than seen
+      const best = fields
+        .map((text) => ({
+          text,
+          count: tokenize(text).filter((token) => terms.includes(token.term))
+            .length,
+        }))
+        .sort((a, b) => b.count - a.count)[0];
+      return best ? makeSnippet(best.text, query, highlight) : "";
+    },
+  };
+}
+
+module.exports = {
+  stem,
+  tokenize,
+  parseQuery,
+  makeSnippet,
+  openTextIndex,
+};
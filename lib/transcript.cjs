@@ -0,0 +1,40 @@
+/**
+ * Stitches per-chunk transcriptions back into one transcript. Segment
+ * times are shifted by each chunk's start, and where two chunks overlap
+ * each keeps only the segments centred on its own side of the overlap.
+ *
+ * `results` is [{ chunk: { start, end }, transcription: { text, segments } }]
+ * in chunk order.
+ */
+function stitchChunks(results) {
+  const segments = [];
+
+  results.forEach(({ chunk, transcription }, i) => {
+    const previous = results[i - 1];
+    const next = results[i + 1];
+    const from = previous ? (chunk.start + previous.chunk.end) / 2 : -Infinity;
+    const to = next ? (next.chunk.start + chunk.end) / 2 : Infinity;
+
+    for (const segment of transcription.segments || []) {
+      const start = segment.start + chunk.start;
+      const end = segment.end + chunk.start;
+      const middle = (start + end) / 2;
+      if (middle >= from && middle < to) {
+        segments.push({ start, end, text: segment.text });
+      }
+    }
+  });
+
+  // Backends that don't return segments still get their text joined up
+  const text =
+    segments.length > 0
+      ? segments.map((segment) => segment.text).join(" ")
+      : results
+          .map(({ transcription }) => transcription.text.trim())
+          .filter(Boolean)
+          .join(" ");
+
+  return { text, segments };
+}
+
+module.exports = { stitchChunks };
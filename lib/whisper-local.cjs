@@ -0,0 +1,143 @@
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const ffmpeg = require("fluent-ffmpeg");
+
+// Default executable for each local backend
+const BACKEND_BINARIES = {
+  "whisper-cpp": "whisper-cli",
+  "faster-whisper": "whisper-ctranslate2",
+};
+
+/**
+ * Runs a command, capturing stderr so failures can be reported
+ */
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+
+    proc.stderr.on("data", (chunk) => {
+      stderr += chunk;
+    });
+    proc.on("error", (err) => {
+      reject(new Error(`Could not start ${command}: ${err.message}`));
+    });
+    proc.on("close", (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        const lastLines = stderr.trim().split("\n").slice(-5).join("\n");
+        reject(
+          new Error(`${command} failed with exit code ${code}\n${lastLines}`)
+        );
+      }
+    });
+  });
+}
+
+// whisper.cpp only reads 16 kHz mono PCM, so convert whatever we're given
+function convertToWav(inputPath, wavPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(16000)
+      .audioCodec("pcm_s16le")
+      .format("wav")
+      .save(wavPath)
+      .on("end", resolve)
+      .on("error", reject);
+  });
+}
+
+async function transcribeWithWhisperCpp(audioPath, workDir, options) {
+  const wavPath = path.join(workDir, "audio.wav");
+  const outputBase = path.join(workDir, "transcript");
+  await convertToWav(audioPath, wavPath);
+
+  const args = ["-m", options.model_path, "-t", String(options.threads)];
+  args.push("-f", wavPath, "-oj", "-of", outputBase, "-np");
+  if (options.language) args.push("-l", options.language);
+  await runCommand(options.binary, args);
+
+  const result = await fs.readJson(`${outputBase}.json`);
+  const segments = (result.transcription || [])
+    .map((segment) => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text.trim(),
+    }))
+    .filter((segment) => segment.text);
+  return { text: segments.map((s) => s.text).join(" "), segments };
+}
+
+async function transcribeWithFasterWhisper(audioPath, workDir, options) {
+  const args = [audioPath, "--device", "cpu", "--compute_type", "int8"];
+  args.push("--threads", String(options.threads));
+  args.push("--output_format", "json", "--output_dir", workDir);
+  args.push("--model", options.model || "small");
+  if (options.model_path) args.push("--model_directory", options.model_path);
+  if (options.language) args.push("--language", options.language);
+  await runCommand(options.binary, args);
+
+  const outputName = `${path.parse(audioPath).name}.json`;
+  const result = await fs.readJson(path.join(workDir, outputName));
+  const segments = (result.segments || []).map((segment) => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim(),
+  }));
+  return { text: (result.text || "").trim(), segments };
+}
+
+/**
+ * Transcriber that runs whisper.cpp or faster-whisper on this machine
+ * instead of uploading audio. Exposes the same `transcribe` call as the
+ * AI providers, so convert.cjs can use either interchangeably.
+ */
+function createLocalWhisper(settings = {}) {
+  const backend = settings.backend;
+  if (!BACKEND_BINARIES[backend]) {
+    throw new Error(
+      `Unknown local whisper backend "${backend}" (expected one of: ${Object.keys(
+        BACKEND_BINARIES
+      ).join(", ")})`
+    );
+  }
+
+  const options = {
+    ...settings,
+    binary: settings.binary || BACKEND_BINARIES[backend],
+    threads: settings.threads || os.cpus().length,
+  };
+
+  if (backend === "whisper-cpp") {
+    if (!options.model_path) {
+      throw new Error("transcription.model_path is required for whisper-cpp");
+    }
+    if (!fs.existsSync(options.model_path)) {
+      throw new Error(`Whisper model not found: ${options.model_path}`);
+    }
+  }
+
+  return {
+    name: backend,
+
+    async transcribe({ audioPath }) {
+      const workDir = await fs.mkdtemp(
+        path.join(os.tmpdir(), "dusty-whisper-")
+      );
+      try {
+        return backend === "whisper-cpp"
+          ? await transcribeWithWhisperCpp(audioPath, workDir, options)
+          : await transcribeWithFasterWhisper(audioPath, workDir, options);
+      } finally {
+        await fs.remove(workDir);
+      }
+    },
+  };
+}
+
+module.exports = { createLocalWhisper, BACKEND_BINARIES };
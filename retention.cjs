@@ -0,0 +1,285 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { openTextIndex } = require("./lib/text-index.cjs");
+const { loadConfig } = require("./lib/config.cjs");
+const { entryPath } = require("./lib/search.cjs");
+const { sidecarMoves, sidecarPaths } = require("./lib/sidecars.cjs");
+const {
+  daysSince,
+  videoAge,
+  selectExpired,
+  selectPurgeable,
+  quarantinePath,
+  footprint,
+} = require("./lib/retention.cjs");
+
+const ACTIONS = ["quarantine", "list", "restore", "purge"];
+
+function formatSize(bytes) {
+  return bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    : `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+}
+
+// Moves a video and its sidecars, leaving any sidecar whose destination is
+// taken where it was
+async function moveWithSidecars(from, to) {
+  const moves = await sidecarMoves(from, to);
+  await fs.move(from, to);
+  for (const move of moves) {
+    if (await fs.pathExists(move.to)) {
+      console.warn(`⚠️  Left ${move.from} in place, ${move.to} exists`);
+      continue;
+    }
+    await fs.move(move.from, move.to);
+  }
+}
+
+async function quarantine(catalog, catalogDir, settings, dryRun) {
+  const expired = selectExpired(catalog.entries(), settings);
+  console.log(
+    `🗓️  Policy: rated ${settings.min_importance}+ and ${settings.age_from} over ${settings.older_than_days} days ago`
+  );
+
+  let moved = 0;
+  let missing = 0;
+  let bytes = 0;
+  for (const entry of expired) {
+    const from = entryPath(entry, catalogDir);
+    if (!(await fs.pathExists(from))) {
+      missing++;
+      continue;
+    }
+    const to = await quarantinePath(from, catalogDir, settings);
+    const size = await footprint(from);
+    const label = `${entry.importance.rating}/9, ${videoAge(
+      entry,
+      settings
+    )} days, ${formatSize(size)}: ${path.basename(from)}`;
+
+    if (dryRun) {
+      console.log(`🔍 Would quarantine (${label})`);
+    } else {
+      await moveWithSidecars(from, to);
+      await catalog.upsert({
+        ...entry,
+        filename: path.basename(to),
+        path: to,
+        quarantined: { from, at: new Date().toISOString() },
+      });
+      console.log(`🗄️  Quarantined (${label})`);
+    }
+    moved++;
+    bytes += size;
+  }
+
+  if (!dryRun && moved > 0) await catalog.exportFiles();
+  if (missing > 0) {
+    console.warn(`⚠️  ${missing} matching videos weren't found on disk`);
+  }
+  console.log(
+    `\n💾 ${moved} videos (${formatSize(bytes)}) ${
+      dryRun ? "would be moved" : "moved"
+    } to ${path.join(catalogDir, settings.folder)}${
+      moved > 0 ? "; purge them to free the space" : ""
+    }`
+  );
+}
+
+async function list(catalog, catalogDir, settings) {
+  const quarantined = catalog.entries().filter((entry) => entry.quarantined);
+  if (quarantined.length === 0) {
+    console.log("Nothing in quarantine");
+    return;
+  }
+
+  let bytes = 0;
+  let due = 0;
+  for (const entry of quarantined) {
+    const days = daysSince(entry.quarantined.at, Date.now());
+    const size = await footprint(entryPath(entry, catalogDir));
+    const purgeable = days >= settings.purge_after_days;
+    bytes += size;
+    if (purgeable) due++;
+    console.log(
+      [
+        `${entry.importance.rating}/9`,
+        `${days}d`.padStart(4),
+        formatSize(size).padStart(9),
+        purgeable ? "purgeable" : "         ",
+        entry.quarantined.from,
+      ].join("  ")
+    );
+  }
+  console.log(
+    `\n💾 ${quarantined.length} videos (${formatSize(
+      bytes
+    )}) in quarantine, ${due} in it ${settings.purge_after_days}+ days`
+  );
+}
+
+async function restore(catalog, catalogDir, file, dryRun) {
+  const target = file && path.resolve(file);
+  const selected = catalog
+    .entries()
+    .filter(
+      (entry) =>
+        entry.quarantined &&
+        (!target ||
+          entry.quarantined.from === target ||
+          entryPath(entry, catalogDir) === target)
+    );
+  if (selected.length === 0) {
+    console.log("🤷 Nothing to restore");
+    return;
+  }
+
+  let restored = 0;
+  let refused = 0;
+  for (const entry of selected) {
+    const from = entryPath(entry, catalogDir);
+    const to = entry.quarantined.from;
+    if (!(await fs.pathExists(from))) {
+      console.warn(`⚠️  ${from} is missing from quarantine`);
+      refused++;
+      continue;
+    }
+    if (await fs.pathExists(to)) {
+      console.warn(`❌ Refusing to restore ${from}, ${to} already exists`);
+      refused++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`🔍 Would restore ${to}`);
+    } else {
+      await moveWithSidecars(from, to);
+      const { quarantined, ...rest } = entry;
+      await catalog.upsert({ ...rest, filename: path.basename(to), path: to });
+      console.log(`↩️  Restored ${to}`);
+    }
+    restored++;
+  }
+
+  if (!dryRun && restored > 0) await catalog.exportFiles();
+  console.log(
+    `\n📊 ${restored} ${dryRun ? "would be restored" : "restored"}${
+      refused ? `, ${refused} refused` : ""
+    }`
+  );
+  if (refused > 0) process.exitCode = 1;
+}
+
+// Deleting is the one step that can't be undone, so it's never part of
+// quarantining and needs --yes
+async function purge(catalog, catalogDir, settings, dryRun, confirmed) {
+  const purgeable = selectPurgeable(catalog.entries(), settings);
+  if (purgeable.length === 0) {
+    console.log(
+      `🤷 Nothing has been in quarantine for ${settings.purge_after_days}+ days`
+    );
+    return;
+  }
+  if (!dryRun && !confirmed) {
+    throw new Error(
+      `Purging deletes ${purgeable.length} videos for good; run it with --yes (or --dry-run to see which)`
+    );
+  }
+
+  const index = dryRun ? null : await openTextIndex(catalogDir);
+  let bytes = 0;
+  for (const entry of purgeable) {
+    const videoPath = entryPath(entry, catalogDir);
+    const size = await footprint(videoPath);
+    bytes += size;
+    if (dryRun) {
+      console.log(`🔍 Would delete ${videoPath} (${formatSize(size)})`);
+      continue;
+    }
+    for (const filePath of [videoPath, ...sidecarPaths(videoPath)]) {
+      await fs.remove(filePath);
+    }
+    await catalog.remove(entry.id);
+    await index.remove(entry.id);
+    console.log(`🗑️  Deleted ${videoPath} (${formatSize(size)})`);
+  }
+
+  if (!dryRun) await catalog.exportFiles();
+  console.log(
+    `\n💾 ${formatSize(bytes)} ${dryRun ? "would be freed" : "freed"} (${
+      purgeable.length
+    } videos)`
+  );
+}
+
+// The number after --name=, refusing blanks (which Number() reads as 0)
+// and anything else that isn't a plain number
+function numberArg(arg) {
+  const [name, value] = arg.split("=");
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`${name} needs a number, 0 or more, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function run(action, catalogDir, settings, options) {
+  const catalog = await openCatalog(catalogDir);
+  if (action === "quarantine") {
+    await quarantine(catalog, catalogDir, settings, options.dryRun);
+  } else if (action === "list") {
+    await list(catalog, catalogDir, settings);
+  } else if (action === "restore") {
+    await restore(catalog, catalogDir, options.file, options.dryRun);
+  } else {
+    await purge(catalog, catalogDir, settings, options.dryRun, options.yes);
+  }
+}
+
+const args = process.argv.slice(2);
+const [catalogDir, action] = args;
+const configArg = args.find((arg) => arg.startsWith("--config="));
+const importanceArg = args.find((arg) => arg.startsWith("--min-importance="));
+const olderThanArg = args.find((arg) => arg.startsWith("--older-than="));
+const purgeAfterArg = args.find((arg) => arg.startsWith("--purge-after="));
+const fileArg = args.find((arg) => arg.startsWith("--file="));
+const options = {
+  dryRun: args.includes("--dry-run"),
+  yes: args.includes("--yes"),
+  file: fileArg ? fileArg.split("=")[1] : null,
+};
+
+if (
+  !catalogDir ||
+  !ACTIONS.includes(action) ||
+  (action === "restore" && !options.file && !args.includes("--all"))
+) {
+  console.log(
+    "Usage: node retention.cjs path/to/catalog/folder quarantine [--min-importance=8] [--older-than=DAYS] [--dry-run]\n" +
+      "       node retention.cjs path/to/catalog/folder list\n" +
+      "       node retention.cjs path/to/catalog/folder restore (--file=path | --all) [--dry-run]\n" +
+      "       node retention.cjs path/to/catalog/folder purge [--purge-after=DAYS] (--yes | --dry-run)"
+  );
+  process.exit(1);
+}
+
+let config;
+try {
+  config = loadConfig(configArg ? configArg.split("=")[1] : undefined, {
+    retention: {
+      ...(importanceArg ? { min_importance: numberArg(importanceArg) } : {}),
+      ...(olderThanArg ? { older_than_days: numberArg(olderThanArg) } : {}),
+      ...(purgeAfterArg ? { purge_after_days: numberArg(purgeAfterArg) } : {}),
+    },
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+run(action, path.resolve(catalogDir), config.retention, options).catch(
+  (error) => {
+    console.error("\n❌ Fatal error:", error.message);
+    process.exit(1);
+  }
+);
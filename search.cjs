@@ -0,0 +1,173 @@
+const path = require("path");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { openTextIndex } = require("./lib/text-index.cjs");
+const {
+  parseRange,
+  parseDate,
+  parseLocalDate,
+  searchCatalog,
+} = require("./lib/search.cjs");
+
+const OUTPUT_FORMATS = ["table", "json", "paths"];
+
+function truncate(text, width) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > width ? `${flat.slice(0, width - 1)}…` : flat;
+}
+
+function printTable(results) {
+  const rows = results.map(({ entry }) => [
+    `${entry.importance.rating}/9`,
+    `${Math.round(entry.duration_seconds)}s`,
+    entry.captured_at ? entry.captured_at.slice(0, 10) : "",
+    entry.processed_at ? entry.processed_at.slice(0, 10) : "",
+    entry.filename,
+    truncate(entry.description, 60),
+  ]);
+  const header = [
+    "Imp",
+    "Length",
+    "Filmed",
+    "Processed",
+    "File",
+    "Description",
+  ];
+  const widths = header.map((title, i) =>
+    Math.max(title.length, ...rows.map((row) => row[i].length))
+  );
+  const format = (row) =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  console.log(format(header));
+  console.log(widths.map((width) => "-".repeat(width)).join("  "));
+  rows.forEach((row, i) => {
+    console.log(format(row));
+    if (results[i].snippet) console.log(`     ${results[i].snippet}`);
+  });
+  console.error(`\n🔎 ${results.length} matching videos`);
+}
+
+async function search(catalogDir, query, filters, format, limit) {
+  // Everything but the results goes to stderr so paths and JSON can be piped.
+  // Searching never writes: entries convert.cjs hasn't indexed yet are
+  // indexed in memory for this search only
+  const options = { log: console.error, readOnly: true };
+  const catalog = await openCatalog(catalogDir, options);
+  const index = await openTextIndex(catalogDir, options);
+  await index.sync(catalog.entries());
+
+  let results = searchCatalog(catalog.entries(), {
+    query,
+    filters,
+    catalogDir,
+    index,
+  });
+  if (limit) results = results.slice(0, limit);
+
+  // Matching words are bold in a terminal and **marked** anywhere else
+  const highlight =
+    format === "table" && process.stdout.isTTY
+      ? (word) => `\x1b[1;33m${word}\x1b[0m`
+      : (word) => `**${word}**`;
+  if (query.trim()) {
+    results.forEach((result) => {
+      result.snippet = index.snippet(result.entry, query, highlight);
+    });
+  }
+
+  if (format === "json") {
+    console.log(
+      JSON.stringify(
+        results.map(({ entry, path: videoPath, score, snippet }) => ({
+          ...entry,
+          path: videoPath,
+          score,
+          snippet,
+        })),
+        null,
+        2
+      )
+    );
+  } else if (format === "paths") {
+    results.forEach((result) => console.log(result.path));
+  } else {
+    printTable(results);
+  }
+}
+
+const args = process.argv.slice(2);
+const catalogDir = args[0];
+const query = args
+  .slice(1)
+  .filter((arg) => !arg.startsWith("--"))
+  .join(" ");
+const importanceArg = args.find((arg) => arg.startsWith("--importance="));
+const durationArg = args.find((arg) => arg.startsWith("--duration="));
+const sinceArg = args.find((arg) => arg.startsWith("--since="));
+const untilArg = args.find((arg) => arg.startsWith("--until="));
+const filmedSinceArg = args.find((arg) => arg.startsWith("--filmed-since="));
+const filmedUntilArg = args.find((arg) => arg.startsWith("--filmed-until="));
+const nameArg = args.find((arg) => arg.startsWith("--name="));
+const folderArg = args.find((arg) => arg.startsWith("--folder="));
+const codecArg = args.find((arg) => arg.startsWith("--codec="));
+const resolutionArg = args.find((arg) => arg.startsWith("--resolution="));
+const cameraArg = args.find((arg) => arg.startsWith("--camera="));
+const hdr = args.includes("--hdr");
+const formatArg = args.find((arg) => arg.startsWith("--format="));
+const limitArg = args.find((arg) => arg.startsWith("--limit="));
+const format = formatArg ? formatArg.split("=")[1] : "table";
+const limit = limitArg ? limitArg.split("=")[1] : null;
+
+if (!catalogDir) {
+  console.log(
+    'Usage: node search.cjs path/to/catalog/folder ["free text"] [--importance=1-3] [--duration=10-60] [--since=YYYY-MM-DD] [--until=YYYY-MM-DD] [--filmed-since=YYYY-MM-DD] [--filmed-until=YYYY-MM-DD] [--name=text] [--folder=path] [--codec=hevc] [--resolution=4k] [--hdr] [--camera=text] [--format=table|json|paths] [--limit=N]'
+  );
+  process.exit(1);
+}
+
+let filters;
+try {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(
+      `--format should be one of ${OUTPUT_FORMATS.join(", ")}, got "${format}"`
+    );
+  }
+  if (limit !== null && !/^[1-9]\d*$/.test(limit)) {
+    throw new Error(`--limit should be a whole number above 0, got "${limit}"`);
+  }
+  filters = {
+    importance: importanceArg
+      ? parseRange(importanceArg.split("=")[1], "--importance")
+      : null,
+    duration: durationArg
+      ? parseRange(durationArg.split("=")[1], "--duration")
+      : null,
+    since: sinceArg ? parseDate(sinceArg.split("=")[1], "--since") : null,
+    until: untilArg ? parseDate(untilArg.split("=")[1], "--until", true) : null,
+    filmedSince: filmedSinceArg
+      ? parseLocalDate(filmedSinceArg.split("=")[1], "--filmed-since")
+      : null,
+    filmedUntil: filmedUntilArg
+      ? parseLocalDate(filmedUntilArg.split("=")[1], "--filmed-until", true)
+      : null,
+    name: nameArg ? nameArg.split("=")[1] : null,
+    folder: folderArg ? folderArg.split("=")[1] : null,
+    codec: codecArg ? codecArg.split("=")[1] : null,
+    resolution: resolutionArg ? resolutionArg.split("=")[1] : null,
+    hdr,
+    camera: cameraArg ? cameraArg.split("=")[1] : null,
+  };
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+search(path.resolve(catalogDir), query, filters, format, Number(limit)).catch(
+  (error) => {
+    console.error("\n❌ Fatal error:", error.message);
+    process.exit(1);
+  }
+);
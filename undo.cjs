@@ -0,0 +1,170 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { openCatalog } = require("./lib/catalog.cjs");
+const { openJournal } = require("./lib/journal.cjs");
+const { sidecarMoves } = require("./lib/sidecars.cjs");
+
+// Renames to undo, latest first so a file renamed twice walks back one
+// step at a time
+function selectRenames(renames, { run, folder, file }) {
+  const live = renames.filter((rename) => !rename.undone);
+  if (run) {
+    return live.filter((rename) => rename.run === run).reverse();
+  }
+  if (folder) {
+    const dir = path.resolve(folder);
+    return live.filter((rename) => path.dirname(rename.to) === dir).reverse();
+  }
+
+  // A single file goes all the way back to the name it had before its
+  // first rename
+  const chain = [];
+  let current = path.resolve(file);
+  for (;;) {
+    const rename = live
+      .filter((candidate) => !chain.includes(candidate))
+      .reverse()
+      .find((candidate) => candidate.to === current);
+    if (!rename) break;
+    chain.push(rename);
+    current = rename.from;
+  }
+  return chain;
+}
+
+function listRuns(renames) {
+  const runs = new Map();
+  for (const rename of renames) {
+    const run = runs.get(rename.run) || { at: rename.at, total: 0, undone: 0 };
+    run.total++;
+    if (rename.undone) run.undone++;
+    runs.set(rename.run, run);
+  }
+  if (runs.size === 0) {
+    console.log("No renames recorded yet");
+    return;
+  }
+  for (const [id, run] of runs) {
+    console.log(
+      `${id}  ${run.at.slice(0, 16).replace("T", " ")}  ${run.total} renamed${
+        run.undone ? `, ${run.undone} undone` : ""
+      }`
+    );
+  }
+}
+
+async function undo(catalogDir, selection, dryRun) {
+  const journal = await openJournal(catalogDir);
+  const renames = await journal.renames();
+
+  if (selection.list) {
+    listRuns(renames);
+    return;
+  }
+
+  const selected = selectRenames(renames, selection);
+  if (selected.length === 0) {
+    console.log("🤷 No renames to undo");
+    return;
+  }
+
+  // A dry run mustn't import or compact the catalog either
+  const catalog = await openCatalog(catalogDir, { readOnly: dryRun });
+  // Dry runs track what would have moved so chained renames check out
+  const simulated = new Map();
+  const exists = async (filePath) =>
+    simulated.has(filePath) ? simulated.get(filePath) : fs.pathExists(filePath);
+
+  let restored = 0;
+  let refused = 0;
+  for (const rename of selected) {
+    const label = `${path.basename(rename.to)} -> ${path.basename(
+      rename.from
+    )}`;
+    if (!(await exists(rename.to))) {
+      console.warn(
+        `⚠️  ${label}: ${rename.to} is missing (moved, deleted or renamed again by a later run)`
+      );
+      refused++;
+      continue;
+    }
+    if (await exists(rename.from)) {
+      console.warn(`❌ ${label}: refusing, ${rename.from} already exists`);
+      refused++;
+      continue;
+    }
+
+    if (dryRun) {
+      console.log(`🔍 Would restore ${label}`);
+      simulated.set(rename.to, false);
+      simulated.set(rename.from, true);
+      restored++;
+      continue;
+    }
+
+    // Sidecars written after the rename (captions, XMP, contact sheets)
+    // come back along with the ones that moved with it
+    const moves = await sidecarMoves(rename.to, rename.from);
+    await fs.rename(rename.to, rename.from);
+    for (const move of moves) {
+      if (await fs.pathExists(move.to)) {
+        console.warn(`⚠️  Left ${move.from} in place, ${move.to} exists`);
+        continue;
+      }
+      await fs.move(move.from, move.to);
+    }
+    await journal.recordUndo(rename.id);
+
+    const entry =
+      (rename.fingerprint && catalog.get(rename.fingerprint)) ||
+      catalog.entries().find((candidate) => candidate.path === rename.to);
+    if (entry) {
+      await catalog.upsert({
+        ...entry,
+        filename: path.basename(rename.from),
+        path: rename.from,
+      });
+    }
+
+    console.log(`↩️  Restored ${label}`);
+    restored++;
+  }
+
+  if (!dryRun && restored > 0) await catalog.exportFiles();
+  console.log(
+    `\n📊 ${restored} ${dryRun ? "would be restored" : "restored"}${
+      refused ? `, ${refused} refused` : ""
+    }`
+  );
+  if (refused > 0) process.exitCode = 1;
+}
+
+const args = process.argv.slice(2);
+const catalogDir = args[0];
+const runArg = args.find((arg) => arg.startsWith("--run="));
+const folderArg = args.find((arg) => arg.startsWith("--folder="));
+const fileArg = args.find((arg) => arg.startsWith("--file="));
+const list = args.includes("--list");
+const dryRun = args.includes("--dry-run");
+const selection = {
+  run: runArg ? runArg.split("=")[1] : null,
+  folder: folderArg ? folderArg.split("=")[1] : null,
+  file: fileArg ? fileArg.split("=")[1] : null,
+  list,
+};
+
+if (
+  !catalogDir ||
+  [selection.run, selection.folder, selection.file, list].filter(Boolean)
+    .length !== 1
+) {
+  console.log(
+    "Usage: node undo.cjs path/to/catalog/folder (--run=ID | --folder=path | --file=path | --list) [--dry-run]"
+  );
+  process.exit(1);
+}
+
+undo(path.resolve(catalogDir), selection, dryRun).catch((error) => {
+  console.error("\n❌ Fatal error:", error.message);
+  process.exit(1);
+});